@@ -6,7 +6,8 @@ const configs = [
   { featureCount: 5, snapshotLength: 5, dataPoints: 1000, label: 'Small (25 neurons)' },
   { featureCount: 10, snapshotLength: 10, dataPoints: 1000, label: 'Medium (100 neurons)' },
   { featureCount: 20, snapshotLength: 10, dataPoints: 500, label: 'Large (200 neurons)' },
-  { featureCount: 30, snapshotLength: 10, dataPoints: 200, label: 'XLarge (300 neurons)' }
+  { featureCount: 30, snapshotLength: 10, dataPoints: 200, label: 'XLarge (300 neurons)' },
+  { featureCount: 100, snapshotLength: 10, dataPoints: 200, label: 'XXLarge (1000 neurons)' }
 ];
 
 configs.forEach(config => {
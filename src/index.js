@@ -11,17 +11,26 @@
  * ✅ Adaptive threshold (auto-tuning with unsupervised mode)
  * ✅ Normalized Hebbian (correct implementation)
  * ✅ Asynchronous recall (energy descent)
+ * ✅ Stochastic recall (Glauber dynamics with simulated annealing)
+ * ✅ Selectable update schedules (async, sequential, block, synchronous)
+ * ✅ Cached local fields (O(N) per flip, shared by margin and attribution)
+ * ✅ Compact binary model format (float64 / float32 / int8, CRC-32 checked)
  * ✅ Storkey learning (higher capacity)
+ * ✅ Pseudo-inverse (projection) learning (exact storage of correlated patterns)
  * ✅ Energy-based scoring (physics-grounded, z-score normalized, configurable weights)
  * ✅ Gradient-based feature attribution (optimized computation)
  * ✅ Baseline statistics for all metrics (z-score integration)
  * ✅ Benchmark method for performance profiling
  * ✅ Strict capacity enforcement option
  * ✅ Pattern correlation-aware capacity estimation
+ * ✅ Dense associative memory mode (polynomial / exponential interactions)
  *
  * CAPACITY WARNING:
  * Hebbian: ~0.138 * N patterns (e.g., 100 neurons → 13 patterns)
  * Storkey: ~0.25 * N patterns (higher, but still limited)
+ * Pseudo-inverse: ~N linearly independent patterns (no correlation penalty)
+ * Dense (polynomial, degree n): ~N^(n-1) / (2 (2n-3)!! ln N) patterns
+ * Dense (exponential): ~2^(N/2) patterns
  * 
  * Exceeding capacity causes spurious attractors!
  * Capacity is adjusted lower for correlated patterns via estimateCapacity().
@@ -30,11 +39,12 @@
  *
  * | Network Size (N) | Memory | Recall Latency | Training Time |
  * |------------------|--------|----------------|---------------|
- * | 100 neurons      | ~80KB  | ~0.5ms         | ~10ms         |
- * | 500 neurons      | ~2MB   | ~15ms          | ~200ms        |
- * | 1000 neurons     | ~8MB   | ~80ms          | ~1.5s         |
+ * | 100 neurons      | ~80KB  | ~0.3ms         | ~10ms         |
+ * | 500 neurons      | ~2MB   | ~1ms           | ~200ms        |
+ * | 1000 neurons     | ~8MB   | ~3.5ms         | ~1.5s         |
  *
- * Tested on Node.js v18, Intel i7-9700K, 10k iterations.
+ * Recall latency per detect() via `npm run benchmark`, Node.js v20.
+ * Local fields are cached and updated in O(N) per flip (energy tracked by delta).
  *
  * ## Unit Tests
  * Integrate with Jest or similar. Example tests:
@@ -131,6 +141,527 @@
 
 import { EventEmitter } from 'events';
 
+// Binary model format (see HopfieldNetwork#toBuffer)
+const BINARY_FORMAT_VERSION = 1;
+const BINARY_PRECISIONS = ['float64', 'float32', 'int8'];
+const NETWORK_MAGIC = 'HOPF';
+const DETECTOR_MAGIC = 'HOPD';
+
+// Detector state snapshots (see HopfieldAnomalyDetector#saveState)
+const STATE_VERSION = 1;
+const STATE_MIGRATIONS = {
+  // v0: a bare exportConfig() object, no runtime state
+  0: snapshot => ({
+    stateVersion: 1,
+    config: snapshot,
+    runtime: { buffer: [], stats: null, adaptiveThreshold: null, rngState: null }
+  })
+};
+
+// Exported config schema (see HopfieldAnomalyDetector.validateConfig)
+const CONFIG_VERSION = 1;
+const LEARNING_RULES = ['hebbian', 'storkey', 'pseudoinverse', 'dense'];
+const LEVEL_CODES = ['thermometer', 'gray'];
+const CATEGORY_CODES = ['onehot', 'binary'];
+const UNSEEN_CATEGORY = ['other', 'missing'];
+const DERIVED_TYPES = [
+  'delta', 'rate', 'mean', 'std', 'ewmaZ',
+  // Pairwise: `source` against `with`
+  'difference', 'absDifference', 'ratio', 'deltaSignAgreement'
+];
+const PAIRWISE_TYPES = ['difference', 'absDifference', 'ratio', 'deltaSignAgreement'];
+const RELATIONS = ['greater', 'less', 'within', 'ratio', 'deltaSign'];
+const MISSING_POLICIES = ['throw', 'skip', 'carry', 'impute', 'unknown'];
+const SCORE_COMPONENTS = ['energy', 'drop', 'hamming', 'margin'];
+const PROTOTYPE_METHODS = ['frequency', 'kmedoids', 'coverage'];
+const CALIBRATION_METHODS = ['standard', 'robust', 'trimmed'];
+const EVALUATION_LEVELS = ['point', 'window', 'event'];
+const DRIFT_METHODS = ['pageHinkley', 'adwin', 'psi'];
+const RETRAIN_POLICIES = ['manual', 'auto', 'shadow'];
+const WINDOW_MODES = ['sliding', 'tumbling'];
+// Rules for combining several readings of a feature within a time slot
+const AGGREGATIONS = {
+  mean: values => values.reduce((sum, v) => sum + v, 0) / values.length,
+  median: values => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)],
+  min: values => Math.min(...values),
+  max: values => Math.max(...values),
+  sum: values => values.reduce((sum, v) => sum + v, 0),
+  count: values => values.length,
+  first: values => values[0],
+  last: values => values[values.length - 1]
+};
+const SEARCH_STRATEGIES = ['grid', 'random'];
+const TUNING_METRICS = ['f1', 'rocAuc', 'prAuc'];
+// Search-space keys passed to fit() rather than the constructor
+const FIT_PARAMETERS = ['method', 'radius', 'maxPrototypes', 'stride'];
+const TUNING_PARAMETERS = [
+  'snapshotLength', 'anomalyThreshold', 'thresholdPercentile', 'maxIterations', 'learningRule',
+  'interaction', 'degree', 'beta', 'temperature', 'annealingSchedule', 'coolingRate', 'minTemperature',
+  'updateMode', 'blockSize', 'adaptiveThreshold', 'unsupervisedAdaptive', 'scoreWeights', ...FIT_PARAMETERS
+];
+const DRIFT_DEFAULTS = {
+  method: 'pageHinkley',
+  window: 100,          // Reference length; PSI comparison window; ADWIN maximum window
+  delta: 0.5,           // Page-Hinkley: tolerated shift in reference standard deviations
+  confidence: 0.002,    // ADWIN: false alarm bound
+  retrain: 'manual',
+  retrainWindow: 200,   // Recent windows kept as retraining candidates
+  minWindows: 20,       // Normal windows required to retrain
+  shadowWindows: 50     // Windows a shadow model is scored before a swap
+};
+const CONFIG_MIGRATIONS = {
+  // v0: unversioned 3.x exports. Pre-3.3 models had no scoreWeights (fixed
+  // 0.3/0.3/0.3/0.1, sometimes exported as an array) and at most an energy
+  // baseline; 3.1 had no baseline at all.
+  0: config => {
+    let scoreWeights = config.scoreWeights || [0.3, 0.3, 0.3, 0.1];
+    if (Array.isArray(scoreWeights)) {
+      scoreWeights = Object.fromEntries(SCORE_COMPONENTS.map((c, i) => [c, scoreWeights[i]]));
+    }
+    const baseline = config.baseline && 'mean' in config.baseline
+      ? { energy: config.baseline }
+      : config.baseline || {};
+    return {
+      ...config,
+      configVersion: 1,
+      unsupervisedAdaptive: config.unsupervisedAdaptive !== undefined ? config.unsupervisedAdaptive : true,
+      strictCapacity: config.strictCapacity || false,
+      scoreWeights,
+      baseline: Object.fromEntries(SCORE_COMPONENTS.map(c => [c, baseline[c] || { mean: 0, std: 1 }]))
+    };
+  }
+};
+
+function isSortedEdges(edges) {
+  return Array.isArray(edges) && edges.every((e, i) => Number.isFinite(e) && (i === 0 || e >= edges[i - 1]));
+}
+
+// Record timestamps: epoch milliseconds, Date or ISO string
+function toMillis(time) {
+  if (typeof time === 'number') return Number.isFinite(time) ? time : null;
+  if (time instanceof Date) return time.getTime();
+  if (typeof time === 'string') {
+    const ms = Date.parse(time);
+    return Number.isNaN(ms) ? null : ms;
+  }
+  return null;
+}
+
+function hammingDistance(a, b) {
+  let d = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) d++;
+  return d;
+}
+
+/**
+ * Location and scale of a metric sample for baseline z-scores. A spread
+ * within rounding error of zero falls back to 1 so scores stay finite.
+ */
+function summarize(values, method = 'standard', trim = 0.1) {
+  const scale = spread => (spread > 1e-9 ? spread : 1);
+  const sorted = [...values].sort((a, b) => a - b);
+  const median = list => {
+    const mid = list.length >> 1;
+    return list.length % 2 ? list[mid] : (list[mid - 1] + list[mid]) / 2;
+  };
+  if (method === 'robust') {
+    const center = median(sorted);
+    const std = scale(1.4826 * median(sorted.map(v => Math.abs(v - center)).sort((a, b) => a - b)));
+    return { mean: center, std, count: values.length, variance: std * std };
+  }
+  const cut = method === 'trimmed' ? Math.floor(trim * sorted.length) : 0;
+  const kept = sorted.slice(cut, sorted.length - cut);
+  const mean = kept.reduce((sum, v) => sum + v, 0) / kept.length;
+  const variance = kept.reduce((sum, v) => sum + (v - mean) ** 2, 0) / kept.length;
+  return { mean, std: scale(Math.sqrt(variance)), count: values.length, variance };
+}
+
+// Counts per bin; bin b holds values with exactly b edges at or below them
+// (within rounding error, so recurring values always land in the same bin)
+function histogram(edges, values) {
+  const counts = new Array(edges.length + 1).fill(0);
+  for (const v of values) {
+    let b = 0;
+    while (b < edges.length && v >= edges[b] - 1e-9 * Math.max(1, Math.abs(edges[b]))) b++;
+    counts[b]++;
+  }
+  return counts;
+}
+
+// Bits needed for a dense (binary or Gray) code over `levels` values
+function codeWidth(levels) {
+  return Math.max(1, Math.ceil(Math.log2(levels)));
+}
+
+// Most significant bit first
+function codeBits(code, width) {
+  return Array.from({ length: width }, (_, i) => (code >> (width - 1 - i)) & 1);
+}
+
+const ENCODERS = new Map();
+
+/**
+ * Feature encoder interface. A threshold entry selects its encoder by `mode`
+ * and doubles as the encoder's JSON config. Encoders turn one reading into
+ * `width` bits per time step (1 = normal for single-bit comparisons) and may
+ * implement fit(values) to learn parameters from historical data.
+ */
+class FeatureEncoder {
+  constructor(config) {
+    this.config = { ...config };
+  }
+
+  get name() {
+    return this.config.mode;
+  }
+
+  get width() {
+    return 1;
+  }
+
+  // Readings rejected here (and null/undefined) go to the missing-value policy
+  accepts(value) {
+    return Number.isFinite(value);
+  }
+
+  encode() {
+    throw new Error(`Encoder '${this.name}' does not implement encode()`);
+  }
+
+  toJSON() {
+    return { ...this.config };
+  }
+
+  static fromJSON(json) {
+    return new this(json);
+  }
+
+  // Error message for an invalid config, or null
+  static validate() {
+    return null;
+  }
+
+  static register(name, EncoderClass) {
+    if (ENCODERS.has(name)) {
+      throw new Error(`Encoder '${name}' is already registered`);
+    }
+    if (typeof EncoderClass.fromJSON !== 'function' || typeof EncoderClass.prototype.encode !== 'function') {
+      throw new Error(`Encoder '${name}' must implement encode() and static fromJSON()`);
+    }
+    ENCODERS.set(name, EncoderClass);
+  }
+
+  static get(name) {
+    return ENCODERS.get(name) || null;
+  }
+
+  static registered() {
+    return [...ENCODERS.keys()];
+  }
+
+  static create(config) {
+    const EncoderClass = ENCODERS.get(config.mode);
+    if (!EncoderClass) {
+      throw new Error(`Unknown encoder: ${config.mode}`);
+    }
+    return EncoderClass.fromJSON(config);
+  }
+}
+
+function valueError(config, key) {
+  return config.value === undefined ? `Threshold for '${key}' missing value` : null;
+}
+
+class AboveEncoder extends FeatureEncoder {
+  encode(value) {
+    return [value > this.config.value ? 1 : 0];
+  }
+
+  static validate(config, key) {
+    return valueError(config, key);
+  }
+}
+
+class BelowEncoder extends FeatureEncoder {
+  encode(value) {
+    return [value < this.config.value ? 1 : 0];
+  }
+
+  static validate(config, key) {
+    return valueError(config, key);
+  }
+}
+
+class EqualEncoder extends FeatureEncoder {
+  accepts(value) {
+    return !Number.isNaN(value);
+  }
+
+  encode(value) {
+    return [value === this.config.value ? 1 : 0];
+  }
+
+  static validate(config, key) {
+    return valueError(config, key);
+  }
+}
+
+class RangeEncoder extends FeatureEncoder {
+  encode(value) {
+    return [(value >= this.config.min && value <= this.config.max) ? 1 : 0];
+  }
+
+  static validate(config, key) {
+    if (config.min === undefined || config.max === undefined) {
+      return `Range mode for '${key}' requires min and max`;
+    }
+    return null;
+  }
+}
+
+// 'in' / 'notIn': 1 when the value is (not) one of `values`
+class SetEncoder extends FeatureEncoder {
+  accepts(value) {
+    return !Number.isNaN(value);
+  }
+
+  encode(value) {
+    const listed = this.config.values.includes(value);
+    return [listed === (this.config.mode === 'in') ? 1 : 0];
+  }
+
+  static validate(config, key) {
+    if (!Array.isArray(config.values) || config.values.length === 0) {
+      return `Set mode '${config.mode}' for '${key}' requires a non-empty values array`;
+    }
+    return null;
+  }
+}
+
+/**
+ * Multi-bit level code: the level is the number of edges the value reaches.
+ * Thermometer sets one bit per reached edge (Hamming distance tracks level
+ * distance); Gray packs the level into ceil(log2(levels)) bits.
+ */
+class LevelEncoder extends FeatureEncoder {
+  get code() {
+    return this.config.mode === 'gray' ? 'gray' : 'thermometer';
+  }
+
+  get width() {
+    const { edges } = this.config;
+    return this.code === 'gray' ? codeWidth(edges.length + 1) : edges.length;
+  }
+
+  encode(value) {
+    const { edges } = this.config;
+    if (this.code === 'gray') {
+      const level = edges.filter(e => value >= e).length;
+      return codeBits(level ^ (level >> 1), this.width);
+    }
+    return edges.map(e => (value >= e ? 1 : 0));
+  }
+
+  static validate(config, key) {
+    if (!isSortedEdges(config.edges) || config.edges.length === 0) {
+      const label = config.mode === 'gray' ? 'Gray' : 'Thermometer';
+      return `${label} mode for '${key}' requires ascending numeric edges`;
+    }
+    return null;
+  }
+}
+
+// Level code over edges at the k/bins quantiles of the fitted data
+class QuantileEncoder extends LevelEncoder {
+  get code() {
+    return this.config.code || 'thermometer';
+  }
+
+  get width() {
+    const { bins } = this.config;
+    return this.code === 'gray' ? codeWidth(bins) : bins - 1;
+  }
+
+  encode(value, context = {}) {
+    if (!this.config.edges) {
+      throw new Error(`Quantile edges for '${context.feature}' not fitted; call fitEncodings() first`);
+    }
+    return super.encode(value);
+  }
+
+  fit(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const { bins } = this.config;
+    const edges = Array.from({ length: bins - 1 }, (_, k) =>
+      sorted[Math.min(sorted.length - 1, Math.floor(((k + 1) * sorted.length) / bins))]
+    );
+    this.config = { ...this.config, edges };
+    return edges;
+  }
+
+  static validate(config, key) {
+    if (!Number.isInteger(config.bins) || config.bins < 2) {
+      return `Quantile mode for '${key}' requires integer bins >= 2`;
+    }
+    if (config.code !== undefined && !LEVEL_CODES.includes(config.code)) {
+      return `Invalid code '${config.code}' for '${key}'`;
+    }
+    if (config.edges !== undefined &&
+        (!isSortedEdges(config.edges) || config.edges.length !== config.bins - 1)) {
+      return `Quantile mode for '${key}' requires ${config.bins - 1} ascending edges`;
+    }
+    return null;
+  }
+}
+
+/**
+ * One-hot or plain binary code of the category index. Undeclared values share
+ * a trailing 'other' slot, or are treated as missing with `unseen: 'missing'`.
+ */
+class CategoricalEncoder extends FeatureEncoder {
+  get levels() {
+    return this.config.categories.length + (this.config.unseen === 'missing' ? 0 : 1);
+  }
+
+  get width() {
+    return this.config.code === 'binary' ? codeWidth(this.levels) : this.levels;
+  }
+
+  accepts(value) {
+    if (this.config.unseen === 'missing') return this.config.categories.includes(value);
+    return !Number.isNaN(value);
+  }
+
+  encode(value) {
+    const { categories } = this.config;
+    const index = categories.indexOf(value);
+    const level = index === -1 ? categories.length : index;
+    if (this.config.code === 'binary') return codeBits(level, this.width);
+    return Array.from({ length: this.levels }, (_, i) => (i === level ? 1 : 0));
+  }
+
+  static validate(config, key) {
+    const { categories } = config;
+    if (!Array.isArray(categories) || categories.length === 0 || new Set(categories).size !== categories.length) {
+      return `Categorical mode for '${key}' requires a non-empty array of distinct categories`;
+    }
+    if (config.code !== undefined && !CATEGORY_CODES.includes(config.code)) {
+      return `Invalid code '${config.code}' for '${key}'`;
+    }
+    if (config.unseen !== undefined && !UNSEEN_CATEGORY.includes(config.unseen)) {
+      return `Invalid unseen-category handling '${config.unseen}' for '${key}'`;
+    }
+    return null;
+  }
+}
+
+FeatureEncoder.register('above', AboveEncoder);
+FeatureEncoder.register('below', BelowEncoder);
+FeatureEncoder.register('equal', EqualEncoder);
+FeatureEncoder.register('range', RangeEncoder);
+FeatureEncoder.register('in', SetEncoder);
+FeatureEncoder.register('notIn', SetEncoder);
+FeatureEncoder.register('thermometer', LevelEncoder);
+FeatureEncoder.register('gray', LevelEncoder);
+FeatureEncoder.register('quantile', QuantileEncoder);
+FeatureEncoder.register('categorical', CategoricalEncoder);
+
+/**
+ * Expands a relational threshold ({ relation, a, b, ... }) into the derived
+ * feature and comparison that implement it, plus a readable label for
+ * attribution. Other thresholds (and already expanded ones) pass through.
+ */
+function expandRelation(threshold) {
+  if (!threshold || threshold.relation === undefined) return threshold;
+  const { relation, a, b, tolerance, min, max } = threshold;
+  const derive = type => ({ type, source: a, with: b });
+  switch (relation) {
+    case 'greater':
+      return { ...threshold, mode: 'above', value: 0, derive: derive('difference'), label: `${a} > ${b}` };
+    case 'less':
+      return { ...threshold, mode: 'below', value: 0, derive: derive('difference'), label: `${a} < ${b}` };
+    case 'within':
+      return {
+        ...threshold, mode: 'below', value: tolerance, derive: derive('absDifference'),
+        label: `|${a} - ${b}| < ${tolerance}`
+      };
+    case 'ratio':
+      return {
+        ...threshold, mode: 'range', min, max, derive: derive('ratio'),
+        label: `${a} / ${b} in [${min}, ${max}]`
+      };
+    case 'deltaSign':
+      return {
+        ...threshold, mode: 'equal', value: 1, derive: derive('deltaSignAgreement'),
+        label: `sign(Δ${a}) = sign(Δ${b})`
+      };
+    default:
+      return threshold;
+  }
+}
+
+function relationError(key, threshold) {
+  const { relation, a, b } = threshold;
+  if (!RELATIONS.includes(relation)) return `Invalid relation '${relation}' for '${key}'`;
+  if (typeof a !== 'string' || typeof b !== 'string' || a === b) {
+    return `Relation '${key}' requires two distinct features 'a' and 'b'`;
+  }
+  if (relation === 'within' && !(threshold.tolerance >= 0)) {
+    return `Relation '${key}' requires a non-negative tolerance`;
+  }
+  if (relation === 'ratio' && (!Number.isFinite(threshold.min) || !Number.isFinite(threshold.max))) {
+    return `Relation '${key}' requires min and max`;
+  }
+  return null;
+}
+
+function thresholdError(key, threshold) {
+  if (threshold && threshold.relation !== undefined) {
+    const error = relationError(key, threshold);
+    if (error) return error;
+  }
+  if (!threshold || !threshold.mode) return `Threshold for '${key}' missing mode`;
+  const EncoderClass = FeatureEncoder.get(threshold.mode);
+  if (!EncoderClass) return `Invalid mode '${threshold.mode}' for '${key}'`;
+  if (threshold.missing !== undefined && !MISSING_POLICIES.includes(threshold.missing)) {
+    return `Invalid missing-value policy '${threshold.missing}' for '${key}'`;
+  }
+  if (threshold.derive !== undefined) {
+    const { type, source, window, alpha } = threshold.derive;
+    if (!DERIVED_TYPES.includes(type)) return `Invalid derive type '${type}' for '${key}'`;
+    if (typeof source !== 'string' || source === key) return `Derived feature '${key}' requires a source feature`;
+    if (PAIRWISE_TYPES.includes(type) && (typeof threshold.derive.with !== 'string' || threshold.derive.with === key)) {
+      return `Derived feature '${key}' requires a second feature in 'with'`;
+    }
+    if ((type === 'mean' || type === 'std') && (!Number.isInteger(window) || window < 2)) {
+      return `Derived feature '${key}' requires an integer window >= 2`;
+    }
+    if (type === 'ewmaZ' && alpha !== undefined && !(alpha > 0 && alpha <= 1)) {
+      return `Derived feature '${key}' requires alpha in (0, 1]`;
+    }
+  }
+  return typeof EncoderClass.validate === 'function' ? EncoderClass.validate(threshold, key) : null;
+}
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE 802.3) used to detect corrupted binary models
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
 /**
  * Adaptive Threshold Calibration
  */
@@ -147,11 +678,7 @@ class AdaptiveThreshold {
     if (this.scores.length > this.windowSize) this.scores.shift();
 
     if (isLabeled) {
-      const falsePositive = !labeledAnomaly && score > this.threshold;
-      const falseNegative = labeledAnomaly && score <= this.threshold;
-      if (falsePositive) this.threshold *= 1.05; // Stricter
-      if (falseNegative) this.threshold *= 0.95; // Looser
-      this.threshold = Math.max(0.1, Math.min(0.9, this.threshold));
+      this.feedback(score, labeledAnomaly);
     } else if (this.unsupervised && this.scores.length >= this.windowSize) {
       // Unsupervised: Set to 95th percentile
       const sorted = [...this.scores].sort((a, b) => a - b);
@@ -160,6 +687,16 @@ class AdaptiveThreshold {
     }
   }
 
+  // Labeled adjustment for an already recorded score, judged against the
+  // threshold it was decided with (the current one by default)
+  feedback(score, labeledAnomaly, decisionThreshold = this.threshold) {
+    const falsePositive = !labeledAnomaly && score > decisionThreshold;
+    const falseNegative = labeledAnomaly && score <= decisionThreshold;
+    if (falsePositive) this.threshold *= 1.05; // Stricter
+    if (falseNegative) this.threshold *= 0.95; // Looser
+    this.threshold = Math.max(0.1, Math.min(0.9, this.threshold));
+  }
+
   getStats() {
     if (this.scores.length === 0) {
       return { threshold: this.threshold, p50: null, p95: null, p99: null };
@@ -172,6 +709,194 @@ class AdaptiveThreshold {
       p99: sorted[Math.floor(sorted.length * 0.99)]
     };
   }
+
+  toJSON() {
+    return {
+      threshold: this.threshold,
+      windowSize: this.windowSize,
+      scores: [...this.scores],
+      unsupervised: this.unsupervised
+    };
+  }
+
+  static fromJSON(json) {
+    const adaptive = new AdaptiveThreshold(json.threshold, json.windowSize, json.unsupervised);
+    adaptive.scores = [...json.scores];
+    return adaptive;
+  }
+}
+
+/**
+ * Concept drift monitor. Every stream (a z-scored metric or a feature's bit
+ * rate) learns a reference from its first `window` values after training and
+ * is then tested with two-sided Page-Hinkley or ADWIN on values standardized
+ * against it, or with PSI of the last `window` values over its deciles.
+ */
+class DriftMonitor {
+  constructor(options = {}) {
+    const error = DriftMonitor.validate(options);
+    if (error) throw new Error(error);
+    this.options = {
+      ...DRIFT_DEFAULTS,
+      // Page-Hinkley λ in standard deviations; PSI above 0.25 is a major shift
+      threshold: options.method === 'psi' ? 0.25 : 50,
+      ...options
+    };
+    this.streams = { metrics: {}, features: {} };
+    this.detections = 0;
+    this.lastDrift = null;
+    this.retrains = 0;
+  }
+
+  static validate(options) {
+    if (!options || typeof options !== 'object') return 'drift options must be an object';
+    const { method = 'pageHinkley', retrain = 'manual', window = DRIFT_DEFAULTS.window } = options;
+    if (!DRIFT_METHODS.includes(method)) return `Unknown drift method: ${method}`;
+    if (!RETRAIN_POLICIES.includes(retrain)) return `Unknown retrain policy: ${retrain}`;
+    if (!Number.isInteger(window) || window < 10) return 'drift window must be an integer >= 10';
+    return null;
+  }
+
+  /**
+   * Adds one value per stream ({ metrics, features } maps of name to
+   * number) observed at `timestamp`, which a drift is stamped with. Returns
+   * the drifting stream names by group, or null.
+   */
+  update(values, timestamp = new Date().toISOString()) {
+    const drifting = { metrics: [], features: [] };
+    for (const group of ['metrics', 'features']) {
+      for (const [name, value] of Object.entries(values[group] || {})) {
+        if (!Number.isFinite(value)) continue;
+        const streams = this.streams[group];
+        if (!streams[name]) streams[name] = { warmup: [], reference: null };
+        if (this._updateStream(streams[name], value)) drifting[group].push(name);
+      }
+    }
+    if (drifting.metrics.length === 0 && drifting.features.length === 0) return null;
+    this.detections++;
+    this.lastDrift = timestamp;
+    return drifting;
+  }
+
+  _updateStream(stream, value) {
+    const { method, window } = this.options;
+    if (!stream.reference) {
+      stream.warmup.push(value);
+      if (stream.warmup.length === window) {
+        const sorted = [...stream.warmup].sort((a, b) => a - b);
+        const edges = [...new Set([1, 2, 3, 4, 5, 6, 7, 8, 9].map(d => sorted[Math.floor((d / 10) * window)]))];
+        const { mean, std } = summarize(stream.warmup);
+        const counts = histogram(edges, stream.warmup);
+        Object.assign(stream, {
+          warmup: [],
+          reference: { mean, std, edges, proportions: counts.map(c => c / window) },
+          statistic: 0, up: 0, upMin: 0, down: 0, downMax: 0, values: []
+        });
+      }
+      return false;
+    }
+    if (method === 'psi') return this._psi(stream, value);
+    // Clipped so a short burst of extreme windows is not a drift on its own
+    const x = Math.max(-5, Math.min(5, (value - stream.reference.mean) / stream.reference.std));
+    return method === 'adwin' ? this._adwin(stream, x) : this._pageHinkley(stream, x);
+  }
+
+  _pageHinkley(stream, x) {
+    const { delta, threshold } = this.options;
+    stream.up += x - delta;
+    stream.upMin = Math.min(stream.upMin, stream.up);
+    stream.down += x + delta;
+    stream.downMax = Math.max(stream.downMax, stream.down);
+    stream.statistic = Math.max(stream.up - stream.upMin, stream.downMax - stream.down);
+    if (stream.statistic <= threshold) return false;
+    Object.assign(stream, { up: 0, upMin: 0, down: 0, downMax: 0 });
+    return true;
+  }
+
+  // ADWIN2-style cut test with the variance bound; a change must persist for window/10 values
+  _adwin(stream, x) {
+    const { confidence, window } = this.options;
+    const values = stream.values;
+    values.push(x);
+    if (values.length > window) values.shift();
+    const n = values.length;
+    const minSide = Math.max(5, Math.floor(window / 10));
+    if (n < 2 * minSide) return false;
+    const total = values.reduce((sum, v) => sum + v, 0);
+    const variance = values.reduce((sum, v) => sum + (v - total / n) ** 2, 0) / n;
+    const logTerm = Math.log((2 * Math.log(n)) / confidence);
+    let head = 0;
+    stream.statistic = 0;
+    for (let i = 1; i < n; i++) {
+      head += values[i - 1];
+      if (i < minSide || n - i < minSide) continue;
+      const m = 1 / (1 / i + 1 / (n - i));
+      const bound = Math.sqrt((2 / m) * variance * logTerm) + (2 / (3 * m)) * logTerm;
+      const gap = Math.abs(head / i - (total - head) / (n - i));
+      stream.statistic = Math.max(stream.statistic, gap / bound);
+      if (gap > bound) {
+        stream.values = values.slice(i);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  _psi(stream, value) {
+    const { window, threshold } = this.options;
+    stream.values.push(value);
+    if (stream.values.length > window) stream.values.shift();
+    if (stream.values.length < window) return false;
+    const counts = histogram(stream.reference.edges, stream.values);
+    stream.statistic = stream.reference.proportions.reduce((psi, p, b) => {
+      const expected = Math.max(p, 1e-4);
+      const actual = Math.max(counts[b] / window, 1e-4);
+      return psi + (actual - expected) * Math.log(actual / expected);
+    }, 0);
+    if (stream.statistic <= threshold) return false;
+    stream.values = [];
+    return true;
+  }
+
+  // Forget references, e.g. after retraining
+  reset() {
+    this.streams = { metrics: {}, features: {} };
+  }
+
+  getStats() {
+    const statistics = group => Object.fromEntries(
+      Object.entries(this.streams[group]).map(([name, stream]) => [name, stream.reference ? stream.statistic : null])
+    );
+    const streams = [...Object.values(this.streams.metrics), ...Object.values(this.streams.features)];
+    return {
+      method: this.options.method,
+      policy: this.options.retrain,
+      warmedUp: streams.length > 0 && streams.every(stream => stream.reference),
+      detections: this.detections,
+      lastDrift: this.lastDrift,
+      retrains: this.retrains,
+      statistics: { metrics: statistics('metrics'), features: statistics('features') }
+    };
+  }
+
+  toJSON() {
+    return {
+      options: { ...this.options },
+      streams: JSON.parse(JSON.stringify(this.streams)),
+      detections: this.detections,
+      lastDrift: this.lastDrift,
+      retrains: this.retrains
+    };
+  }
+
+  static fromJSON(json) {
+    const monitor = new DriftMonitor(json.options);
+    monitor.streams = JSON.parse(JSON.stringify(json.streams));
+    monitor.detections = json.detections;
+    monitor.lastDrift = json.lastDrift;
+    monitor.retrains = json.retrains;
+    return monitor;
+  }
 }
 
 /**
@@ -185,7 +910,37 @@ class HopfieldNetwork extends EventEmitter {
     }
     this.size = size;
     this.learningRule = options.learningRule || 'hebbian';
-    this.weights = new Float64Array(size * size); // Flat array for performance
+    // Dense associative memory options (only used by the 'dense' rule)
+    this.interaction = options.interaction || 'polynomial';
+    this.degree = options.degree || 3;
+    this.beta = options.beta || 1;
+    if (this.learningRule === 'dense') {
+      if (!['polynomial', 'exponential'].includes(this.interaction)) {
+        throw new Error(`Unknown interaction: ${this.interaction}`);
+      }
+      if (!Number.isInteger(this.degree) || this.degree < 2) {
+        throw new Error('Interaction degree must be an integer >= 2');
+      }
+      if (!(this.beta > 0)) {
+        throw new Error('beta must be a positive number');
+      }
+    }
+    // Stochastic (Glauber) recall: temperature 0 keeps deterministic descent
+    this.temperature = options.temperature || 0;
+    this.annealingSchedule = options.annealingSchedule || 'constant';
+    this.coolingRate = options.coolingRate !== undefined ? options.coolingRate : 0.9;
+    this.minTemperature = options.minTemperature || 0;
+    this._validateAnnealing(this);
+    // Recall update schedule
+    this.updateMode = options.updateMode || 'async';
+    this.blockSize = options.blockSize || null;
+    // Explicit block partition (arrays of neuron indices); takes precedence over blockSize
+    this.blocks = options.blocks ? options.blocks.map(block => Array.from(block)) : null;
+    this._validateUpdateMode(this);
+    // Stored patterns (dense networks use them instead of an N×N weight matrix)
+    this.patterns = [];
+    this.projectionDiagonal = null; // Pseudo-inverse rule only
+    this.weights = new Float64Array(this.learningRule === 'dense' ? 0 : size * size); // Flat array for performance
     this.seed = options.seed || null;
     this._rngState = options.seed || Date.now();
     this.trained = false;
@@ -207,10 +962,88 @@ class HopfieldNetwork extends EventEmitter {
     return this._rngState / 2147483648;
   }
 
+  _validateAnnealing({ temperature, annealingSchedule, coolingRate, minTemperature }) {
+    if (!(temperature >= 0)) {
+      throw new Error('temperature must be a non-negative number');
+    }
+    if (typeof annealingSchedule !== 'function' &&
+        !['constant', 'linear', 'geometric', 'custom'].includes(annealingSchedule)) {
+      throw new Error(`Unknown annealing schedule: ${annealingSchedule}`);
+    }
+    if (!(coolingRate > 0 && coolingRate <= 1)) {
+      throw new Error('coolingRate must be in (0, 1]');
+    }
+    if (!(minTemperature >= 0)) {
+      throw new Error('minTemperature must be a non-negative number');
+    }
+  }
+
+  _validateUpdateMode({ updateMode, blockSize, blocks }) {
+    if (!['async', 'sequential', 'synchronous', 'block'].includes(updateMode)) {
+      throw new Error(`Unknown update mode: ${updateMode}`);
+    }
+    if (blocks) {
+      const seen = new Uint8Array(this.size);
+      const partition = Array.isArray(blocks) && blocks.every(block => Array.from(block).every(i =>
+        Number.isInteger(i) && i >= 0 && i < this.size && !seen[i] && (seen[i] = 1)
+      ));
+      if (!partition || seen.some(v => v === 0)) {
+        throw new Error(`blocks must partition the neurons 0..${this.size - 1}`);
+      }
+    } else if (updateMode === 'block' && (!Number.isInteger(blockSize) || blockSize <= 0)) {
+      throw new Error('Block update mode requires a positive integer blockSize or blocks');
+    }
+  }
+
+  _temperatureAt(iter, maxIterations, { temperature, annealingSchedule, coolingRate, minTemperature }) {
+    if (temperature === 0) return 0;
+    if (typeof annealingSchedule === 'function') {
+      return Math.max(0, annealingSchedule(iter, temperature, maxIterations));
+    }
+    switch (annealingSchedule) {
+      case 'linear': {
+        const progress = maxIterations > 1 ? iter / (maxIterations - 1) : 1;
+        return temperature + (minTemperature - temperature) * progress;
+      }
+      case 'geometric':
+        return Math.max(minTemperature, temperature * Math.pow(coolingRate, iter));
+      case 'custom':
+        throw new Error('Custom annealing schedule must be re-attached after deserialization');
+      default:
+        return temperature;
+    }
+  }
+
+  _isDense() {
+    return this.learningRule === 'dense';
+  }
+
+  _baseCapacity() {
+    const N = this.size;
+    if (this._isDense()) {
+      if (this.interaction === 'exponential') {
+        // Demircigil et al. (2017): capacity grows as 2^(N/2)
+        return Math.min(Math.pow(2, N / 2), Number.MAX_SAFE_INTEGER);
+      }
+      // Krotov & Hopfield (2016): N^(n-1) / (2 (2n-3)!! ln N)
+      let doubleFactorial = 1;
+      for (let k = 2 * this.degree - 3; k > 1; k -= 2) doubleFactorial *= k;
+      return Math.pow(N, this.degree - 1) / (2 * doubleFactorial * Math.log(Math.max(N, 2)));
+    }
+    return this._capacityFactor() * N;
+  }
+
+  _capacityFactor() {
+    if (this.learningRule === 'hebbian') return 0.138;
+    if (this.learningRule === 'pseudoinverse') return 1;
+    return 0.25;
+  }
+
   estimateCapacity(patterns = null) {
-    const capFactor = this.learningRule === 'hebbian' ? 0.138 : 0.25;
-    if (!patterns || patterns.length < 2) {
-      return Math.floor(capFactor * this.size);
+    if (!patterns || patterns.length < 2 || this.learningRule === 'pseudoinverse') {
+      // The projection rule decorrelates patterns: any linearly independent set
+      // of up to N patterns is stored exactly, so no correlation penalty applies
+      return Math.floor(this._baseCapacity());
     }
     // Compute average absolute correlation
     let avgCorr = 0;
@@ -227,134 +1060,501 @@ class HopfieldNetwork extends EventEmitter {
     }
     avgCorr /= count;
     // Empirical adjustment: higher correlation reduces capacity
-    const adjustedFactor = capFactor / (1 + avgCorr * 10); // Aggressive penalty for correlation
-    return Math.floor(adjustedFactor * this.size);
+    return Math.floor(this._baseCapacity() / (1 + avgCorr * 10)); // Aggressive penalty for correlation
   }
 
-  train(patterns) {
-    if (!Array.isArray(patterns) || patterns.length === 0) {
-      throw new Error('Patterns must be a non-empty array');
+  _validatePattern(pattern, idx) {
+    if (!Array.isArray(pattern) || pattern.length !== this.size) {
+      throw new Error(`Pattern ${idx} must be an array of size ${this.size}`);
     }
-    patterns.forEach((pattern, idx) => {
-      if (!Array.isArray(pattern) || pattern.length !== this.size) {
-        throw new Error(`Pattern ${idx} must be an array of size ${this.size}`);
-      }
-      if (!pattern.every(val => val === -1 || val === 1)) {
-        throw new Error(`Pattern ${idx} must contain only -1 or 1 values`);
-      }
-    });
+    if (!pattern.every(val => val === -1 || val === 1)) {
+      throw new Error(`Pattern ${idx} must contain only -1 or 1 values`);
+    }
+  }
 
+  _checkCapacity(patterns) {
     // Estimate capacity with correlation check
     const capacity = this.estimateCapacity(patterns);
     if (patterns.length > capacity) {
-      const capFactor = this.learningRule === 'hebbian' ? 0.138 : 0.25;
-      const suggestedSize = Math.ceil(patterns.length / capFactor);
+      let suggestion;
+      if (this._isDense()) {
+        suggestion = 'Consider increasing the interaction degree or using exponential interaction.';
+      } else {
+        const suggestedSize = Math.ceil(patterns.length / this._capacityFactor());
+        suggestion = this.learningRule === 'pseudoinverse'
+          ? `Consider increasing network size to ${suggestedSize}.`
+          : `Consider using Storkey rule or increasing network size to ${suggestedSize}.`;
+      }
       const msg = `[Hopfield] Training ${patterns.length} patterns exceeds estimated capacity (~${capacity} due to pattern correlations). ` +
-                  `Consider using Storkey rule or increasing network size to ${suggestedSize}.`;
+                  suggestion;
       if (this.strictCapacity) {
         throw new Error(msg);
       } else {
         console.warn(msg);
       }
     }
+  }
+
+  train(patterns) {
+    if (!Array.isArray(patterns) || patterns.length === 0) {
+      throw new Error('Patterns must be a non-empty array');
+    }
+    patterns.forEach((pattern, idx) => this._validatePattern(pattern, idx));
+    if (!LEARNING_RULES.includes(this.learningRule)) {
+      throw new Error(`Unknown learning rule: ${this.learningRule}`);
+    }
+    this._checkCapacity(patterns);
 
     if (this.learningRule === 'hebbian') {
       this._trainHebbian(patterns);
     } else if (this.learningRule === 'storkey') {
       this._trainStorkey(patterns);
-    } else {
-      throw new Error(`Unknown learning rule: ${this.learningRule}`);
+    } else if (this.learningRule === 'pseudoinverse') {
+      this._trainPseudoinverse(patterns);
     }
+    // Every rule tracks its stored patterns so capacity checks and
+    // incremental learn/forget stay correct
+    this.patterns = patterns.map(p => Int8Array.from(p));
 
     this.trained = true;
     this.emit('trained', { patterns: patterns.length });
   }
 
-  _trainHebbian(patterns) {
+  /**
+   * Store one more pattern without retraining: O(N²) for Hebbian, Storkey and
+   * pseudo-inverse rules, O(N) for dense networks.
+   */
+  addPattern(pattern) {
+    this._validatePattern(pattern, this.patterns.length);
+    if (!LEARNING_RULES.includes(this.learningRule)) {
+      throw new Error(`Unknown learning rule: ${this.learningRule}`);
+    }
+    this._checkCapacity([...this.patterns, pattern]);
+
+    if (this.learningRule === 'hebbian') {
+      this._hebbianStep(pattern, 1);
+    } else if (this.learningRule === 'storkey') {
+      this._storkeyStep(pattern, 1);
+    } else if (this.learningRule === 'pseudoinverse') {
+      if (!this.projectionDiagonal) this._trainPseudoinverse(this.patterns);
+      this._projectionStep(pattern);
+    }
+    this.patterns.push(Int8Array.from(pattern));
+
+    this.trained = true;
+    this.emit('patternAdded', { patterns: this.patterns.length });
+  }
+
+  /**
+   * Remove a stored pattern. Exact for every rule: Hebbian subtracts the
+   * pattern's increment in O(N²), while Storkey weights (whose increments
+   * depend on the patterns stored before) and the pseudo-inverse projection
+   * are rebuilt from the remaining patterns.
+   */
+  removePattern(pattern) {
+    const idx = this.patterns.findIndex(p =>
+      p.length === pattern.length && p.every((v, i) => v === pattern[i])
+    );
+    if (idx === -1) {
+      throw new Error('Pattern is not stored in the network');
+    }
+    this.patterns.splice(idx, 1);
+
+    if (this.learningRule === 'hebbian') {
+      this._hebbianStep(pattern, -1);
+    } else if (this.learningRule === 'storkey') {
+      this._trainStorkey(this.patterns);
+    } else if (this.learningRule === 'pseudoinverse') {
+      this._trainPseudoinverse(this.patterns);
+    }
+
+    this.trained = this.patterns.length > 0;
+    this.emit('patternRemoved', { patterns: this.patterns.length });
+  }
+
+  _hebbianStep(p, sign) {
     const N = this.size;
+    // Normalized Hebbian with symmetric weights (diagonal stays zero)
+    for (let i = 0; i < N; i++) {
+      for (let j = i + 1; j < N; j++) {
+        const inc = (sign * p[i] * p[j]) / N; // ✅ Normalized
+        this._setWeight(i, j, this._getWeight(i, j) + inc);
+        this._setWeight(j, i, this._getWeight(j, i) + inc); // ✅ Symmetric
+      }
+    }
+  }
+
+  _trainHebbian(patterns) {
     this.weights.fill(0);
-    // Normalized Hebbian with symmetric weights
     for (const p of patterns) {
-      for (let i = 0; i < N; i++) {
-        for (let j = i + 1; j < N; j++) {
-          const inc = (p[i] * p[j]) / N; // ✅ Normalized
-          this._setWeight(i, j, this._getWeight(i, j) + inc);
-          this._setWeight(j, i, this._getWeight(j, i) + inc); // ✅ Symmetric
-        }
+      this._hebbianStep(p, 1);
+    }
+  }
+
+  _storkeyStep(x, sign) {
+    const N = this.size;
+    const h = new Float64Array(N);
+    for (let i = 0; i < N; i++) {
+      let s = 0;
+      for (let k = 0; k < N; k++) {
+        if (k !== i) s += this._getWeight(i, k) * x[k];
       }
+      h[i] = s;
     }
-    // Zero diagonal
     for (let i = 0; i < N; i++) {
-      this._setWeight(i, i, 0);
+      for (let j = i + 1; j < N; j++) {
+        const dw = (sign * (x[i] * x[j] - x[i] * h[j] - h[i] * x[j])) / N;
+        this._setWeight(i, j, this._getWeight(i, j) + dw);
+        this._setWeight(j, i, this._getWeight(j, i) + dw);
+      }
     }
   }
 
   _trainStorkey(patterns) {
+    this.weights.fill(0);
+    for (const x of patterns) {
+      this._storkeyStep(x, 1);
+    }
+  }
+
+  _projectionStep(x) {
+    // Greville's recursion: add the component of x orthogonal to the stored span.
+    // The projection's diagonal is kept in projectionDiagonal so the weight
+    // matrix itself keeps a zero diagonal; recall uses it only for neurons
+    // whose off-diagonal field vanishes (d_i = 1)
     const N = this.size;
+    const e = new Float64Array(N);
+    let norm = 0;
+    for (let i = 0; i < N; i++) {
+      let s = this.projectionDiagonal[i] * x[i];
+      for (let j = 0; j < N; j++) {
+        if (j !== i) s += this._getWeight(i, j) * x[j];
+      }
+      e[i] = x[i] - s;
+      norm += e[i] * e[i];
+    }
+    if (norm < 1e-9 * N) return; // Already in the span of stored patterns
+    for (let i = 0; i < N; i++) {
+      this.projectionDiagonal[i] += (e[i] * e[i]) / norm;
+      for (let j = i + 1; j < N; j++) {
+        const dw = (e[i] * e[j]) / norm;
+        this._setWeight(i, j, this._getWeight(i, j) + dw);
+        this._setWeight(j, i, this._getWeight(j, i) + dw);
+      }
+    }
+  }
+
+  _trainPseudoinverse(patterns) {
+    // Projection rule W = X (XᵀX)⁺ Xᵀ, built one pattern at a time so no matrix
+    // inversion is needed: every stored pattern satisfies Wξ = ξ, and linearly
+    // dependent patterns add nothing
     this.weights.fill(0);
+    this.projectionDiagonal = new Float64Array(this.size);
     for (const x of patterns) {
-      const h = new Float64Array(N);
-      for (let i = 0; i < N; i++) {
-        let s = 0;
-        for (let k = 0; k < N; k++) {
-          if (k !== i) s += this._getWeight(i, k) * x[k];
-        }
-        h[i] = s;
+      this._projectionStep(x);
+    }
+  }
+
+  _overlaps(state) {
+    const N = this.size;
+    const overlaps = new Float64Array(this.patterns.length);
+    for (let mu = 0; mu < this.patterns.length; mu++) {
+      const xi = this.patterns[mu];
+      let dot = 0;
+      for (let i = 0; i < N; i++) dot += xi[i] * state[i];
+      overlaps[mu] = dot;
+    }
+    return overlaps;
+  }
+
+  _interaction(x) {
+    // Rectified polynomial F(x) = max(0, x)^n, normalized by N^(n-1)
+    return x > 0 ? Math.pow(x, this.degree) / Math.pow(this.size, this.degree - 1) : 0;
+  }
+
+  _logSumExp(overlaps, offsets = null, delta = 0) {
+    // Stable log Σ exp(β·o_μ), optionally with o_μ shifted by delta·offsets[μ]
+    let max = -Infinity;
+    for (let mu = 0; mu < overlaps.length; mu++) {
+      const v = this.beta * (overlaps[mu] + (offsets ? delta * offsets[mu] : 0));
+      if (v > max) max = v;
+    }
+    if (max === -Infinity) return max;
+    let sum = 0;
+    for (let mu = 0; mu < overlaps.length; mu++) {
+      sum += Math.exp(this.beta * (overlaps[mu] + (offsets ? delta * offsets[mu] : 0)) - max);
+    }
+    return max + Math.log(sum);
+  }
+
+  _denseEnergy(overlaps) {
+    if (overlaps.length === 0) return 0;
+    if (this.interaction === 'exponential') {
+      return -this._logSumExp(overlaps) / this.beta;
+    }
+    let e = 0;
+    for (let mu = 0; mu < overlaps.length; mu++) e -= this._interaction(overlaps[mu]);
+    return e;
+  }
+
+  _denseField(overlaps, state, i) {
+    // h_i = (E(s_i = -1) - E(s_i = +1)) / 2, evaluated from overlaps in O(P)
+    const P = this.patterns.length;
+    if (this.interaction === 'exponential') {
+      let maxPlus = -Infinity;
+      let maxMinus = -Infinity;
+      for (let mu = 0; mu < P; mu++) {
+        const xi = this.patterns[mu][i];
+        const base = overlaps[mu] - xi * state[i];
+        maxPlus = Math.max(maxPlus, this.beta * (base + xi));
+        maxMinus = Math.max(maxMinus, this.beta * (base - xi));
       }
+      let sumPlus = 0;
+      let sumMinus = 0;
+      for (let mu = 0; mu < P; mu++) {
+        const xi = this.patterns[mu][i];
+        const base = overlaps[mu] - xi * state[i];
+        sumPlus += Math.exp(this.beta * (base + xi) - maxPlus);
+        sumMinus += Math.exp(this.beta * (base - xi) - maxMinus);
+      }
+      return ((maxPlus + Math.log(sumPlus)) - (maxMinus + Math.log(sumMinus))) / (2 * this.beta);
+    }
+    let h = 0;
+    for (let mu = 0; mu < P; mu++) {
+      const xi = this.patterns[mu][i];
+      const base = overlaps[mu] - xi * state[i];
+      h += this._interaction(base + xi) - this._interaction(base - xi);
+    }
+    return h / 2;
+  }
+
+  /**
+   * Local field of every neuron: h_i = (E(s_i = -1) - E(s_i = +1)) / 2.
+   * For classic rules this is Σ_j w_ij s_j.
+   */
+  localFields(state) {
+    const N = this.size;
+    const h = new Float64Array(N);
+    if (this._isDense()) {
+      const overlaps = this._overlaps(state);
+      for (let i = 0; i < N; i++) h[i] = this._denseField(overlaps, state, i);
+    } else {
+      // Row-major matrix-vector product over the flat weight array
+      const w = this.weights;
       for (let i = 0; i < N; i++) {
-        for (let j = i + 1; j < N; j++) {
-          const dw = (x[i] * x[j] - x[i] * h[j] - h[i] * x[j]) / N;
-          this._setWeight(i, j, this._getWeight(i, j) + dw);
-          this._setWeight(j, i, this._getWeight(j, i) + dw);
-        }
+        const row = i * N;
+        let sum = 0;
+        for (let j = 0; j < N; j++) sum += w[row + j] * state[j];
+        h[i] = sum - w[row + i] * state[i];
       }
     }
-    // Zero diagonal
-    for (let i = 0; i < N; i++) {
-      this._setWeight(i, i, 0);
+    return h;
+  }
+
+  _energyFromFields(state, fields) {
+    // E = -Σ_{i<j} w_ij s_i s_j = -½ Σ_i s_i h_i for symmetric, zero-diagonal weights
+    let e = 0;
+    for (let i = 0; i < this.size; i++) e -= state[i] * fields[i];
+    return e / 2;
+  }
+
+  /**
+   * Energy change caused by flipping each block of neurons in `state`.
+   * Returns one ΔE = E(flipped) - E(state) per block. Pass the local fields of
+   * `state` when already known to skip the O(N²) field computation.
+   */
+  flipEnergyDeltas(state, blocks, fields = null) {
+    if (this._isDense()) {
+      const overlaps = this._overlaps(state);
+      const E = this._denseEnergy(overlaps);
+      const flipped = new Float64Array(overlaps.length);
+      return blocks.map(block => {
+        for (let mu = 0; mu < overlaps.length; mu++) {
+          const xi = this.patterns[mu];
+          let shift = 0;
+          for (const i of block) shift += xi[i] * state[i];
+          flipped[mu] = overlaps[mu] - 2 * shift;
+        }
+        return this._denseEnergy(flipped) - E;
+      });
     }
+    const h = fields || this.localFields(state);
+    return blocks.map(block => {
+      let sum_si_hext = 0;
+      for (const i of block) {
+        let intra = 0;
+        for (const j of block) {
+          if (j !== i) intra += this._getWeight(i, j) * state[j];
+        }
+        sum_si_hext += state[i] * (h[i] - intra);
+      }
+      return 2 * sum_si_hext;
+    });
   }
 
-  recall(input, maxIterations = 10) {
+  /**
+   * Recall by energy descent. `updateMode` selects the schedule: 'async'
+   * (seeded random order), 'sequential' (fixed order), 'block' (the neuron
+   * sets in `blocks`, or contiguous groups of `blockSize` neurons, updated
+   * together) or 'synchronous' (all
+   * neurons at once, with 2-cycle detection). With `temperature > 0` updates
+   * are stochastic (Glauber dynamics, P(s_i = +1) = 1 / (1 + e^(-2h_i/T))) and
+   * T follows the annealing schedule across sweeps; `options` override the
+   * network settings.
+   *
+   * Local fields are computed once (or taken from `options.fields`) and
+   * updated in O(N) per flip; energy is tracked by ΔE = -2 s_i' h_i. The
+   * result carries `inputFields` and final `fields` for reuse by callers.
+   */
+  recall(input, maxIterations = 10, options = {}) {
     if (!this.trained) {
       throw new Error('Network must be trained before recall');
     }
     if (!Array.isArray(input) || input.length !== this.size) {
       throw new Error(`Input must be an array of size ${this.size}`);
     }
+    const N = this.size;
     const state = new Int8Array(input);
-    const energyPath = [this.energy(state)];
-    const order = new Uint32Array(this.size);
+    const overlaps = this._isDense() ? this._overlaps(state) : null;
+    // Classic rules cache every local field; dense rules evaluate fields from overlaps
+    const fields = overlaps ? null : (options.fields ? Float64Array.from(options.fields) : this.localFields(state));
+    const inputFields = fields && Float64Array.from(fields);
+    const w = this.weights;
+    let energy = overlaps ? this._denseEnergy(overlaps) : this._energyFromFields(state, fields);
+    const energyPath = [energy];
+    const settings = {
+      temperature: this.temperature,
+      annealingSchedule: this.annealingSchedule,
+      coolingRate: this.coolingRate,
+      minTemperature: this.minTemperature,
+      updateMode: this.updateMode,
+      blockSize: this.blockSize,
+      blocks: this.blocks,
+      ...options
+    };
+    this._validateAnnealing(settings);
+    this._validateUpdateMode(settings);
+    const { updateMode } = settings;
+    const stochastic = settings.temperature > 0;
+    // Neurons in each slice of `order` between consecutive bounds are updated together
+    const blocks = updateMode === 'block' ? settings.blocks : null;
+    const groupSize = updateMode === 'synchronous' ? N : updateMode === 'block' ? settings.blockSize : 1;
+    const order = new Uint32Array(blocks ? blocks.flat() : N);
+    if (!blocks) for (let i = 0; i < N; i++) order[i] = i;
+    const bounds = [0];
+    if (blocks) {
+      blocks.forEach(block => bounds.push(bounds[bounds.length - 1] + block.length));
+    } else {
+      for (let start = groupSize; start < N; start += groupSize) bounds.push(start);
+      bounds.push(N);
+    }
+    const parallel = bounds.length - 1 < N;
+    const groupFields = new Float64Array(blocks ? Math.max(...blocks.map(block => block.length)) : groupSize);
+    // Pseudo-inverse: a stored pattern's off-diagonal field is (1 - d_i) ξ_i.
+    // Where the self-coupling d_i reaches 1 (the stored span contains e_i,
+    // always so at P = N where W = 0) the neuron's row of W is zero and its
+    // field carries no information, so the self-coupling holds its state.
+    // Elsewhere it stays out of the update, keeping the zero-diagonal basins.
+    const diagonal = this.projectionDiagonal;
+    // States one and two sweeps back, for 2-cycle detection
+    let previous = null;
+    let twoBack = null;
+    let oscillation = null;
+    const temperatures = [];
+    const acceptance = { proposals: 0, flips: 0, uphill: 0, finalRate: 0 };
+    const result = (iterations, converged) => {
+      const out = {
+        state: Array.from(state),
+        iterations,
+        energyPath,
+        converged,
+        updateMode,
+        oscillation,
+        inputFields,
+        fields: fields || this.localFields(state)
+      };
+      if (stochastic) {
+        out.temperatureSchedule = temperatures;
+        out.acceptance = { ...acceptance, rate: acceptance.proposals ? acceptance.flips / acceptance.proposals : 0 };
+      }
+      return out;
+    };
     for (let iter = 0; iter < maxIterations; iter++) {
       let changed = 0;
-      // Shuffle order using seeded RNG
-      for (let i = 0; i < this.size; i++) order[i] = i;
-      for (let i = this.size - 1; i > 0; i--) {
-        const j = Math.floor(this._random() * (i + 1));
-        [order[i], order[j]] = [order[j], order[i]];
-      }
-      // Asynchronous updates
-      for (let k = 0; k < this.size; k++) {
-        const i = order[k];
-        let h = 0;
-        for (let j = 0; j < this.size; j++) {
-          if (j !== i) h += this._getWeight(i, j) * state[j];
+      const T = stochastic ? this._temperatureAt(iter, maxIterations, settings) : 0;
+      if (stochastic) temperatures.push(T);
+      if (updateMode === 'async') {
+        // Shuffle order using seeded RNG
+        for (let i = 0; i < N; i++) order[i] = i;
+        for (let i = N - 1; i > 0; i--) {
+          const j = Math.floor(this._random() * (i + 1));
+          [order[i], order[j]] = [order[j], order[i]];
+        }
+      }
+      if (parallel) {
+        twoBack = previous;
+        previous = Int8Array.from(state);
+      }
+      for (let g = 0; g + 1 < bounds.length; g++) {
+        const start = bounds[g];
+        const end = bounds[g + 1];
+        // Fields for the whole group are taken from the state before the group updates
+        for (let k = start; k < end; k++) {
+          const i = order[k];
+          let h = fields ? fields[i] : this._denseField(overlaps, state, i);
+          if (diagonal && diagonal[i] > 1 - 1e-9) h = diagonal[i] * state[i];
+          groupFields[k - start] = h;
         }
-        const newState = h >= 0 ? 1 : -1;
-        if (newState !== state[i]) {
-          state[i] = newState;
-          changed++;
+        for (let k = start; k < end; k++) {
+          const i = order[k];
+          const h = groupFields[k - start];
+          let newState;
+          if (T > 0) {
+            // Glauber update driven by the seeded RNG
+            newState = this._random() < 1 / (1 + Math.exp(-2 * h / T)) ? 1 : -1;
+            if (newState !== state[i] && newState * h < 0) acceptance.uphill++;
+          } else {
+            newState = h >= 0 ? 1 : -1;
+          }
+          if (newState !== state[i]) {
+            if (overlaps) {
+              for (let mu = 0; mu < overlaps.length; mu++) {
+                overlaps[mu] += 2 * this.patterns[mu][i] * newState;
+              }
+            } else {
+              // O(N) incremental update: h_j += 2 s_i' w_ji, ΔE = -2 s_i' h_i
+              energy -= 2 * newState * fields[i];
+              const row = i * N;
+              for (let j = 0; j < N; j++) {
+                if (j !== i) fields[j] += 2 * newState * w[row + j];
+              }
+            }
+            state[i] = newState;
+            changed++;
+          }
         }
       }
-      energyPath.push(this.energy(state));
+      if (overlaps) energy = this._denseEnergy(overlaps);
+      energyPath.push(energy);
+      acceptance.proposals += N;
+      acceptance.flips += changed;
+      acceptance.finalRate = changed / N;
       if (changed === 0) {
-        return { state: Array.from(state), iterations: iter + 1, energyPath, converged: true };
+        return result(iter + 1, true);
+      }
+      // Parallel updates can oscillate between two states instead of converging
+      if (T === 0 && twoBack && state.every((v, i) => v === twoBack[i])) {
+        oscillation = { period: 2, detectedAt: iter + 1 };
+        return result(iter + 1, false);
       }
     }
-    return { state: Array.from(state), iterations: maxIterations, energyPath, converged: false };
+    return result(maxIterations, false);
   }
 
   energy(state) {
+    if (this._isDense()) {
+      return this._denseEnergy(this._overlaps(state));
+    }
     let e = 0;
     for (let i = 0; i < this.size; i++) {
       for (let j = i + 1; j < this.size; j++) {
@@ -370,25 +1570,244 @@ class HopfieldNetwork extends EventEmitter {
       trained: this.trained,
       learningRule: this.learningRule,
       capacity: this.estimateCapacity(),
+      storedPatterns: this.patterns.length,
       seed: this.seed,
-      strictCapacity: this.strictCapacity
+      strictCapacity: this.strictCapacity,
+      temperature: this.temperature,
+      annealingSchedule: typeof this.annealingSchedule === 'function' ? 'custom' : this.annealingSchedule,
+      updateMode: this.updateMode,
+      blockSize: this.blockSize
     };
   }
 
-  toJSON() {
+  _settingsJSON() {
     return {
       size: this.size,
       learningRule: this.learningRule,
-      weights: Array.from(this.weights),
       trained: this.trained,
       seed: this.seed,
-      strictCapacity: this.strictCapacity
+      strictCapacity: this.strictCapacity,
+      temperature: this.temperature,
+      annealingSchedule: typeof this.annealingSchedule === 'function' ? 'custom' : this.annealingSchedule,
+      coolingRate: this.coolingRate,
+      minTemperature: this.minTemperature,
+      updateMode: this.updateMode,
+      blockSize: this.blockSize,
+      ...(this.blocks && { blocks: this.blocks.map(block => [...block]) }),
+      ...(this._isDense() && {
+        interaction: this.interaction,
+        degree: this.degree,
+        beta: this.beta
+      })
     };
   }
 
+  toJSON() {
+    return {
+      ...this._settingsJSON(),
+      weights: Array.from(this.weights),
+      patterns: this.patterns.map(p => Array.from(p)),
+      ...(this.projectionDiagonal && { projectionDiagonal: Array.from(this.projectionDiagonal) })
+    };
+  }
+
+  /**
+   * Compact binary model. Layout (little-endian): 'HOPF' magic, format
+   * version, precision, flags, header JSON with the network settings, the
+   * upper triangle of the symmetric weight matrix (float64, float32, or int8
+   * with a per-matrix scale), the projection diagonal, bit-packed stored
+   * patterns and a trailing CRC-32.
+   */
+  toBuffer(options = {}) {
+    const { precision = 'float64' } = options;
+    const precisionCode = BINARY_PRECISIONS.indexOf(precision);
+    if (precisionCode === -1) {
+      throw new Error(`Unknown precision: ${precision}`);
+    }
+    const N = this.size;
+    const header = Buffer.from(JSON.stringify(this._settingsJSON()), 'utf8');
+    const triangle = this.weights.length > 0 ? (N * (N - 1)) / 2 : 0;
+    const bytesPerWeight = [8, 4, 1][precisionCode];
+    const patternBytes = Math.ceil(N / 8);
+    const diagonal = this.projectionDiagonal;
+    const length = 16 + 4 + header.length + 8 + triangle * bytesPerWeight +
+      (diagonal ? N * 8 : 0) + this.patterns.length * patternBytes + 4;
+
+    const buf = Buffer.alloc(length);
+    buf.write(NETWORK_MAGIC, 0, 'latin1');
+    buf.writeUInt8(BINARY_FORMAT_VERSION, 4);
+    buf.writeUInt8(precisionCode, 5);
+    buf.writeUInt8((triangle > 0 ? 1 : 0) | (diagonal ? 2 : 0), 6);
+    buf.writeUInt32LE(triangle, 8);
+    buf.writeUInt32LE(this.patterns.length, 12);
+    let offset = 16;
+    buf.writeUInt32LE(header.length, offset);
+    header.copy(buf, offset + 4);
+    offset += 4 + header.length;
+
+    let scale = 1;
+    if (precision === 'int8') {
+      let maxAbs = 0;
+      for (let i = 0; i < this.weights.length; i++) maxAbs = Math.max(maxAbs, Math.abs(this.weights[i]));
+      scale = maxAbs / 127 || 1;
+    }
+    buf.writeDoubleLE(scale, offset);
+    offset += 8;
+    if (triangle > 0) {
+      for (let i = 0; i < N; i++) {
+        for (let j = i + 1; j < N; j++) {
+          const w = this._getWeight(i, j);
+          if (precision === 'float64') buf.writeDoubleLE(w, offset);
+          else if (precision === 'float32') buf.writeFloatLE(w, offset);
+          else buf.writeInt8(Math.round(w / scale), offset);
+          offset += bytesPerWeight;
+        }
+      }
+    }
+    if (diagonal) {
+      for (let i = 0; i < N; i++, offset += 8) buf.writeDoubleLE(diagonal[i], offset);
+    }
+    for (const p of this.patterns) {
+      for (let i = 0; i < N; i++) {
+        if (p[i] > 0) buf[offset + (i >> 3)] |= 1 << (i & 7);
+      }
+      offset += patternBytes;
+    }
+    buf.writeUInt32LE(crc32(buf.subarray(0, offset)), offset);
+    return buf;
+  }
+
+  static fromBuffer(input) {
+    const buf = Buffer.isBuffer(input) ? input : Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+    if (buf.length < 28 || buf.toString('latin1', 0, 4) !== NETWORK_MAGIC) {
+      throw new Error('Invalid network buffer: bad magic');
+    }
+    const version = buf.readUInt8(4);
+    if (version > BINARY_FORMAT_VERSION) {
+      throw new Error(`Unsupported network buffer version: ${version}`);
+    }
+    if (crc32(buf.subarray(0, buf.length - 4)) !== buf.readUInt32LE(buf.length - 4)) {
+      throw new Error('Invalid network buffer: checksum mismatch');
+    }
+    const precision = BINARY_PRECISIONS[buf.readUInt8(5)];
+    if (!precision) {
+      throw new Error(`Invalid network buffer: unknown precision code ${buf.readUInt8(5)}`);
+    }
+    const flags = buf.readUInt8(6);
+    const triangle = buf.readUInt32LE(8);
+    const patternCount = buf.readUInt32LE(12);
+    let offset = 16;
+    const headerLength = buf.readUInt32LE(offset);
+    const settings = JSON.parse(buf.toString('utf8', offset + 4, offset + 4 + headerLength));
+    offset += 4 + headerLength;
+    const scale = buf.readDoubleLE(offset);
+    offset += 8;
+
+    const net = HopfieldNetwork.fromJSON({ ...settings, weights: [] });
+    const N = net.size;
+    if ((flags & 1) && triangle !== (N * (N - 1)) / 2) {
+      throw new Error(`Invalid network buffer: expected ${(N * (N - 1)) / 2} weights, got ${triangle}`);
+    }
+    if (flags & 1) {
+      net.weights = new Float64Array(N * N);
+      for (let i = 0; i < N; i++) {
+        for (let j = i + 1; j < N; j++) {
+          let w;
+          if (precision === 'float64') { w = buf.readDoubleLE(offset); offset += 8; }
+          else if (precision === 'float32') { w = buf.readFloatLE(offset); offset += 4; }
+          else { w = buf.readInt8(offset) * scale; offset += 1; }
+          net._setWeight(i, j, w);
+          net._setWeight(j, i, w);
+        }
+      }
+    } else if (!net._isDense()) {
+      net.weights = new Float64Array(N * N);
+    }
+    if (flags & 2) {
+      net.projectionDiagonal = new Float64Array(N);
+      for (let i = 0; i < N; i++, offset += 8) net.projectionDiagonal[i] = buf.readDoubleLE(offset);
+    }
+    const patternBytes = Math.ceil(N / 8);
+    for (let k = 0; k < patternCount; k++) {
+      const p = new Int8Array(N);
+      for (let i = 0; i < N; i++) {
+        p[i] = buf[offset + (i >> 3)] & (1 << (i & 7)) ? 1 : -1;
+      }
+      net.patterns.push(p);
+      offset += patternBytes;
+    }
+    return net;
+  }
+
+  /**
+   * Structural checks for a toJSON() object. Returns a list of
+   * { path, message } errors (empty when valid).
+   */
+  static validateJSON(json, size = json && json.size) {
+    const errors = [];
+    const fail = (path, message) => errors.push({ path, message });
+    if (!json || typeof json !== 'object') {
+      fail('', 'must be an object');
+      return errors;
+    }
+    if (json.size !== size) fail('size', `expected ${size}, got ${json.size}`);
+    if (!Number.isInteger(size) || size <= 0) {
+      fail('size', 'must be a positive integer');
+      return errors;
+    }
+    if (!LEARNING_RULES.includes(json.learningRule)) {
+      fail('learningRule', `unknown learning rule '${json.learningRule}'`);
+    }
+    const weights = json.weights || [];
+    const expected = json.learningRule === 'dense' ? 0 : size * size;
+    if (weights.length !== expected) {
+      fail('weights', `expected ${expected} weights, got ${weights.length}`);
+    } else {
+      // Report only the first offending entry of the matrix
+      let weightError = null;
+      for (let i = 0; i < size && expected > 0 && !weightError; i++) {
+        for (let j = i; j < size && !weightError; j++) {
+          const w = weights[i * size + j];
+          const wT = weights[j * size + i];
+          if (!Number.isFinite(w) || !Number.isFinite(wT)) {
+            weightError = `non-finite weight at (${i}, ${j})`;
+          } else if (Math.abs(w - wT) > 1e-9) {
+            weightError = `matrix is not symmetric at (${i}, ${j})`;
+          }
+        }
+      }
+      if (weightError) fail('weights', weightError);
+    }
+    (json.patterns || []).forEach((p, k) => {
+      if (p.length !== size || Array.from(p).some(v => v !== 1 && v !== -1)) {
+        fail(`patterns[${k}]`, `must be a bipolar array of length ${size}`);
+      }
+    });
+    if (json.projectionDiagonal && json.projectionDiagonal.length !== size) {
+      fail('projectionDiagonal', `expected ${size} entries, got ${json.projectionDiagonal.length}`);
+    }
+    return errors;
+  }
+
   static fromJSON(json) {
-    const net = new HopfieldNetwork(json.size, { learningRule: json.learningRule, seed: json.seed, strictCapacity: json.strictCapacity });
+    const net = new HopfieldNetwork(json.size, {
+      learningRule: json.learningRule,
+      seed: json.seed,
+      strictCapacity: json.strictCapacity,
+      interaction: json.interaction,
+      degree: json.degree,
+      beta: json.beta,
+      temperature: json.temperature,
+      annealingSchedule: json.annealingSchedule,
+      coolingRate: json.coolingRate,
+      minTemperature: json.minTemperature,
+      updateMode: json.updateMode,
+      blockSize: json.blockSize,
+      blocks: json.blocks
+    });
     net.weights = new Float64Array(json.weights);
+    if (json.patterns) net.patterns = json.patterns.map(p => Int8Array.from(p));
+    if (json.projectionDiagonal) net.projectionDiagonal = new Float64Array(json.projectionDiagonal);
     net.trained = json.trained;
     return net;
   }
@@ -406,25 +1825,66 @@ class HopfieldAnomalyDetector extends EventEmitter {
       anomalyThreshold = 0.3,
       maxIterations = 10,
       learningRule = 'hebbian',
+      interaction,
+      degree,
+      beta,
+      temperature,
+      annealingSchedule,
+      coolingRate,
+      minTemperature,
+      updateMode,
+      blockSize,
       adaptiveThreshold = true,
       unsupervisedAdaptive = true,
       scoreWeights = { energy: 0.25, drop: 0.25, hamming: 0.25, margin: 0.25 },
       strictCapacity = false,
+      missingPolicy = 'throw',
+      feedbackWindow = 1000,
+      drift = null,
       seed = null
     } = config;
     if (!Number.isInteger(featureCount) || featureCount <= 0) {
       throw new Error('featureCount must be a positive integer');
     }
+    if (!MISSING_POLICIES.includes(missingPolicy)) {
+      throw new Error(`Unknown missing-value policy: ${missingPolicy}`);
+    }
+    if (!Number.isInteger(feedbackWindow) || feedbackWindow <= 0) {
+      throw new Error('feedbackWindow must be a positive integer');
+    }
+    this.missingPolicy = missingPolicy;
     this.featureCount = featureCount;
     this.snapshotLength = snapshotLength;
+    // Neurons per feature per time step; multi-level encodings widen this in setThresholds()
+    this.featureWidths = Array(featureCount).fill(1);
+    this.snapshotWidth = featureCount;
     this.patternSize = featureCount * snapshotLength;
     this.anomalyThreshold = anomalyThreshold;
     this.maxIterations = maxIterations;
     this.useAdaptiveThreshold = adaptiveThreshold;
+    this.unsupervisedAdaptive = unsupervisedAdaptive;
     this.scoreWeights = scoreWeights;
-    this.network = new HopfieldNetwork(this.patternSize, { learningRule, seed, strictCapacity });
+    // How fitted weights were obtained (see fitScoreWeights); null when hand-set
+    this.scoreWeightsProvenance = null;
+    this._networkOptions = {
+      learningRule, seed, strictCapacity, interaction, degree, beta,
+      temperature, annealingSchedule, coolingRate, minTemperature,
+      updateMode,
+      blockSize
+    };
+    // Block updates default to one group per feature: its neurons at every time step
+    if (updateMode === 'block' && !blockSize) this._networkOptions.blocks = this._featureBlocks();
+    this.network = new HopfieldNetwork(this.patternSize, this._networkOptions);
     this.buffer = [];
+    // Per buffered step: whether any value in it was carried, imputed or unknown
+    this.bufferImputed = [];
+    this._lastValues = {};
+    // Per derived feature: previous value/time, rolling window and EWMA moments
+    this._derivedState = {};
+    // Epoch ms of the newest accepted record's `timestamp`, which drifts are stamped with
+    this._recordTime = null;
     this.thresholds = {};
+    this.encoders = {};
     this.featureNames = [];
     this.trained = false;
     this.baseline = {
@@ -433,14 +1893,30 @@ class HopfieldAnomalyDetector extends EventEmitter {
       hamming: { mean: 0, std: 1 },
       margin: { mean: 0, std: 1 }
     };
+    // Metrics of the calibration windows, re-summarized by learnNormal() for robust/trimmed baselines
+    this._calibrationMetrics = null;
     if (this.useAdaptiveThreshold) {
       this.adaptiveThreshold = new AdaptiveThreshold(anomalyThreshold, 100, unsupervisedAdaptive);
     }
+    // Recent results by id ({ score, threshold, isAnomaly, label }) and the last
+    // `feedbackWindow` labeled outcomes ('tp', 'fp', 'fn' or 'tn')
+    this.feedbackWindow = feedbackWindow;
+    this._lastId = 0;
+    this._retained = new Map();
+    this._feedback = { outcomes: [], rejected: { expired: 0, unknown: 0, duplicate: 0 } };
+    this._feedbackWarned = false;
+    this.driftMonitor = drift ? new DriftMonitor(drift) : null;
+    // Recent complete windows ({ bits, score }) kept as retraining candidates
+    this._recentWindows = [];
+    this._retrainPending = false;
+    // Shadow-then-swap: a retrained copy scored alongside the active model
+    this._shadow = null;
     this.stats = {
       dataPointsProcessed: 0,
       anomaliesDetected: 0,
       lastAnomaly: null,
-      anomalyHistory: []
+      anomalyHistory: [],
+      missingValues: { throw: 0, skip: 0, carry: 0, impute: 0, unknown: 0 }
     };
   }
 
@@ -449,71 +1925,326 @@ class HopfieldAnomalyDetector extends EventEmitter {
     if (keys.length !== this.featureCount) {
       throw new Error(`Expected ${this.featureCount} thresholds, got ${keys.length}`);
     }
+    const expanded = Object.fromEntries(keys.map(key => [key, expandRelation(thresholds[key])]));
     keys.forEach(key => {
-      const threshold = thresholds[key];
-      if (!threshold.mode) {
-        throw new Error(`Threshold for '${key}' missing mode`);
+      const error = thresholdError(key, expanded[key]);
+      if (error) throw new Error(error);
+    });
+    const names = featureNames || keys;
+    const encoders = Object.fromEntries(names.map(name => [name, FeatureEncoder.create(expanded[name])]));
+    const widths = names.map(name => encoders[name].width);
+    const snapshotWidth = widths.reduce((sum, w) => sum + w, 0);
+    if (snapshotWidth !== this.snapshotWidth) {
+      if (this.trained) {
+        throw new Error(`Cannot change encoding width of a trained detector (${this.snapshotWidth} to ${snapshotWidth} neurons per step)`);
+      }
+      this.snapshotWidth = snapshotWidth;
+      this.patternSize = snapshotWidth * this.snapshotLength;
+    }
+    const resized = this.network.size !== this.patternSize;
+    this.featureWidths = widths;
+    if (this._networkOptions.blocks) {
+      this._networkOptions.blocks = this._featureBlocks();
+      if (!resized) this.network.blocks = this._networkOptions.blocks;
+    }
+    if (resized) {
+      this.network = new HopfieldNetwork(this.patternSize, this._networkOptions);
+    }
+    this.encoders = encoders;
+    // Keep detector-level keys (missing, fill, derive) alongside the encoder config
+    this.thresholds = Object.fromEntries(keys.map(key => [
+      key,
+      encoders[key] ? { ...expanded[key], ...encoders[key].toJSON() } : expanded[key]
+    ]));
+    this.featureNames = names;
+  }
+
+  // Whether a reading is present and encodable by the feature's encoder
+  _accepts(key, value) {
+    if (value === null || value === undefined) return false;
+    const encoder = this.encoders[key];
+    return typeof encoder.accepts === 'function' ? encoder.accepts(value) : Number.isFinite(value);
+  }
+
+  /**
+   * Derives a threshold per feature from a sample of normal records:
+   * 'percentile' bands ([lower, upper] percentiles) or robust 'mad' bands
+   * (median ± k·1.4826·MAD). Features listed in `oneSided` get a single
+   * 'below' ('upper' limit) or 'above' ('lower' limit) bound; constant
+   * features become 'equal'. Without `featureNames` (or thresholds already
+   * set) the features are the first record's keys except `timeKey`
+   * (default 'timestamp'). Applies the thresholds unless `apply` is false
+   * and returns them with the fraction of the sample each would flag.
+   */
+  fitThresholds(records, options = {}) {
+    const {
+      method = 'percentile', lower = 1, upper = 99, k = 3, oneSided = {}, apply = true, timeKey = 'timestamp'
+    } = options;
+    if (!['percentile', 'mad'].includes(method)) {
+      throw new Error(`Unknown threshold fitting method: ${method}`);
+    }
+    if (!Array.isArray(records) || records.length === 0) {
+      throw new Error('No records provided');
+    }
+    const names = options.featureNames ||
+      (this.featureNames.length > 0 ? this.featureNames : Object.keys(records[0]).filter(key => key !== timeKey));
+    const rows = this._deriveSeries(records);
+    const at = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.floor((q / 100) * sorted.length))];
+
+    const thresholds = {};
+    const report = {};
+    for (const name of names) {
+      const values = rows.map(r => r[name]).filter(Number.isFinite);
+      if (values.length === 0) {
+        throw new Error(`No numeric values for '${name}'`);
+      }
+      const sorted = [...values].sort((a, b) => a - b);
+      let lo = at(sorted, lower);
+      let hi = at(sorted, upper);
+      if (method === 'mad') {
+        const median = at(sorted, 50);
+        const mad = at(values.map(v => Math.abs(v - median)).sort((a, b) => a - b), 50);
+        lo = median - k * 1.4826 * mad;
+        hi = median + k * 1.4826 * mad;
       }
-      const validModes = ['above', 'below', 'equal', 'range'];
-      if (!validModes.includes(threshold.mode)) {
-        throw new Error(`Invalid mode '${threshold.mode}' for '${key}'`);
+
+      let threshold;
+      if (sorted[0] === sorted[sorted.length - 1]) {
+        threshold = { mode: 'equal', value: sorted[0] };
+      } else if (oneSided[name] === 'upper') {
+        threshold = { mode: 'below', value: hi };
+      } else if (oneSided[name] === 'lower') {
+        threshold = { mode: 'above', value: lo };
+      } else {
+        threshold = { mode: 'range', min: lo, max: hi };
+      }
+      const derive = this.thresholds[name] && this.thresholds[name].derive;
+      thresholds[name] = derive ? { ...threshold, derive } : threshold;
+
+      const encoder = FeatureEncoder.create(threshold);
+      const flagged = values.filter(v => encoder.encode(v, { feature: name })[0] === 0).length;
+      report[name] = { ...threshold, method, samples: values.length, flagged: flagged / values.length };
+    }
+
+    if (apply) this.setThresholds(thresholds, names);
+    return { thresholds, featureNames: names, report };
+  }
+
+  /**
+   * Fits every encoder that implements fit(values) (e.g. 'quantile' bin
+   * edges) on a sample of feature records. Returns each fit() result by name.
+   */
+  fitEncodings(records) {
+    const rows = this._deriveSeries(records);
+    const fitted = {};
+    for (const key of this.featureNames) {
+      const encoder = this.encoders[key];
+      if (typeof encoder.fit !== 'function') continue;
+      const values = rows.map(r => r[key]).filter(v => this._accepts(key, v));
+      if (values.length === 0) {
+        throw new Error(`No values to fit the '${encoder.name}' encoder for '${key}'`);
+      }
+      fitted[key] = encoder.fit(values);
+      this.thresholds = { ...this.thresholds, [key]: { ...this.thresholds[key], ...encoder.toJSON() } };
+    }
+    return fitted;
+  }
+
+  /**
+   * Computes derived features (threshold entries with a `derive` spec) for
+   * one record from the per-feature stream state. Returns the record with the
+   * derived values added and the next state; callers commit the state only
+   * once the record is accepted. Derivations that need history report 0
+   * until it exists; a missing source yields a missing derived value.
+   */
+  _deriveFeatures(features, state) {
+    let derived = null;
+    const next = { ...state };
+    for (const name of this.featureNames) {
+      const spec = this.thresholds[name].derive;
+      if (!spec) continue;
+      derived = derived || { ...features };
+      const prev = state[name] || { last: null, lastTime: null, window: [], mean: null, variance: 0 };
+      const value = features[spec.source];
+      const other = PAIRWISE_TYPES.includes(spec.type) ? features[spec.with] : 0;
+      if (!Number.isFinite(value) || !Number.isFinite(other)) {
+        derived[name] = undefined;
+        continue;
+      }
+      const time = toMillis(features[spec.timeKey || 'timestamp']);
+      const window = spec.type === 'mean' || spec.type === 'std' ? [...prev.window, value].slice(-spec.window) : [];
+      const windowMean = window.reduce((sum, v) => sum + v, 0) / window.length;
+      let result;
+      switch (spec.type) {
+        case 'delta':
+          result = prev.last === null ? 0 : value - prev.last;
+          break;
+        case 'rate':
+          if (prev.last === null) result = 0;
+          else if (time === null || prev.lastTime === null || time <= prev.lastTime) result = undefined;
+          else result = (value - prev.last) / ((time - prev.lastTime) / 1000);
+          break;
+        case 'mean':
+          result = windowMean;
+          break;
+        case 'std':
+          result = Math.sqrt(window.reduce((sum, v) => sum + (v - windowMean) ** 2, 0) / window.length);
+          break;
+        case 'ewmaZ':
+          result = prev.variance > 0 ? (value - prev.mean) / Math.sqrt(prev.variance) : 0;
+          break;
+        case 'difference':
+          result = value - other;
+          break;
+        case 'absDifference':
+          result = Math.abs(value - other);
+          break;
+        case 'ratio':
+          result = other !== 0 ? value / other : undefined;
+          break;
+        case 'deltaSignAgreement':
+          result = prev.last === null ? 1 : Number(Math.sign(value - prev.last) === Math.sign(other - prev.lastWith));
+          break;
       }
-      if (threshold.mode === 'range') {
-        if (threshold.min === undefined || threshold.max === undefined) {
-          throw new Error(`Range mode for '${key}' requires min and max`);
-        }
-      } else if (threshold.value === undefined) {
-        throw new Error(`Threshold for '${key}' missing value`);
+      // Exponentially weighted mean/variance (ewmaZ scores against the state before this value)
+      const alpha = spec.alpha || 0.1;
+      let mean = value;
+      let variance = 0;
+      if (prev.mean !== null) {
+        const diff = value - prev.mean;
+        mean = prev.mean + alpha * diff;
+        variance = (1 - alpha) * (prev.variance + alpha * diff * diff);
       }
+      next[name] = { last: value, lastWith: other, lastTime: time, window, mean, variance };
+      derived[name] = result;
+    }
+    return { features: derived || features, state: next };
+  }
+
+  // Adds derived features to a sequence of records, starting from empty state
+  _deriveSeries(records) {
+    let state = {};
+    return records.map(record => {
+      const result = this._deriveFeatures(record, state);
+      state = result.state;
+      return result.features;
     });
-    this.thresholds = thresholds;
-    this.featureNames = featureNames || keys;
   }
 
-  _featuresToBinary(features) {
-    const binary = [];
-    for (const key of this.featureNames) {
-      if (!(key in features)) {
-        throw new Error(`Missing feature: ${key}`);
+  /**
+   * Neuron indices of feature f across the window. Snapshots are time-major:
+   * each time step holds every feature's bits in featureNames order.
+   */
+  _featureIndices(f) {
+    const offset = this.featureWidths.slice(0, f).reduce((sum, w) => sum + w, 0);
+    const indices = [];
+    for (let t = 0; t < this.snapshotLength; t++) {
+      for (let b = 0; b < this.featureWidths[f]; b++) {
+        indices.push(t * this.snapshotWidth + offset + b);
       }
-      const value = features[key];
+    }
+    return indices;
+  }
+
+  // One neuron set per feature, in featureNames order
+  _featureBlocks() {
+    return this.featureWidths.map((_, f) => this._featureIndices(f));
+  }
+
+  /**
+   * Encodes one record. Missing or invalid readings follow the feature's
+   * `missing` policy (default: the detector's `missingPolicy`); each policy
+   * applied is pushed to `fired`. Unknown neurons are encoded as null and a
+   * skipped record returns null.
+   */
+  _featuresToBinary(features, fired = [], lastValues = this._lastValues, binary = []) {
+    binary.length = 0;
+    for (const key of this.featureNames) {
       const threshold = this.thresholds[key];
-      let bit;
-      switch (threshold.mode) {
-        case 'above':
-          bit = value > threshold.value ? 1 : 0;
-          break;
-        case 'below':
-          bit = value < threshold.value ? 1 : 0;
-          break;
-        case 'equal':
-          bit = value === threshold.value ? 1 : 0;
-          break;
-        case 'range':
-          bit = (value >= threshold.min && value <= threshold.max) ? 1 : 0;
-          break;
-        default:
-          bit = 0;
+      const encoder = this.encoders[key];
+      let value = features[key];
+      if (!this._accepts(key, value)) {
+        let policy = threshold.missing || this.missingPolicy;
+        if (policy === 'carry' && !(key in lastValues)) policy = 'unknown';
+        if (policy === 'impute' && threshold.fill === undefined && encoder.width > 1) policy = 'unknown';
+        fired.push(policy);
+        if (policy === 'throw') {
+          throw new Error(key in features ? `Invalid value for '${key}': ${String(value)}` : `Missing feature: ${key}`);
+        }
+        if (policy === 'skip') return null;
+        if (policy === 'unknown') {
+          for (let b = 0; b < encoder.width; b++) binary.push(null);
+          continue;
+        }
+        if (policy === 'impute' && threshold.fill === undefined) {
+          // Neutral bit: the comparison holds
+          binary.push(1);
+          continue;
+        }
+        value = policy === 'carry' ? lastValues[key] : threshold.fill;
       }
-      binary.push(bit);
+      const bits = encoder.encode(value, { feature: key, record: features });
+      if (bits.length !== encoder.width) {
+        throw new Error(`Encoder '${encoder.name}' returned ${bits.length} bits for '${key}', expected ${encoder.width}`);
+      }
+      binary.push(...bits);
     }
     return binary;
   }
 
   _binToBipolar(arr) {
-    return arr.map(x => (x === 0 ? -1 : 1));
+    // Unknown (null) bits become 0 so they add no field or energy at the start of recall
+    return arr.map(x => (x === null ? 0 : x === 0 ? -1 : 1));
   }
 
   _bipolarToBin(arr) {
     return arr.map(x => (x < 0 ? 0 : 1));
   }
 
+  _computeMargin(state, fields = null, known = null) {
+    // Mean |h_i| over (known) neurons whose state agrees with their local field
+    const h = fields || this.network.localFields(state);
+    let margin = 0;
+    let count = 0;
+    for (let i = 0; i < this.patternSize; i++) {
+      if (known && !known[i]) continue;
+      margin += Math.abs(h[i]) * (state[i] === (h[i] >= 0 ? 1 : -1) ? 1 : 0);
+      count++;
+    }
+    return count > 0 ? margin / count : 0;
+  }
+
   _computeStats(arr) {
     if (arr.length === 0) return { mean: 0, std: 1 };
     const mean = arr.reduce((s, v) => s + v, 0) / arr.length;
     const variance = arr.reduce((s, v) => s + Math.pow(v - mean, 2), 0) / arr.length;
     const std = Math.sqrt(variance) || 1;
-    return { mean, std };
+    return { mean, std, count: arr.length, variance };
+  }
+
+  _updateStats(stats, value) {
+    // Welford's running mean/variance; baselines without a count restart from this sample
+    const count = (stats.count || 0) + 1;
+    const delta = value - stats.mean;
+    const mean = stats.mean + delta / count;
+    const m2 = (stats.variance || 0) * (count - 1) + delta * (value - mean);
+    const variance = m2 / count;
+    return { mean, std: Math.sqrt(variance) || 1, count, variance };
+  }
+
+  _patternMetrics(p) {
+    const x = [...p];
+    const recalled = this.network.recall(x, this.maxIterations);
+    const E_input = recalled.energyPath[0];
+    const E_recalled = recalled.energyPath[recalled.energyPath.length - 1];
+    const energyDrop = E_input - E_recalled;
+    const hammingDist = x.reduce((sum, val, i) => sum + (val !== recalled.state[i] ? 1 : 0), 0);
+    return {
+      energy: E_input,
+      drop: Math.max(0, -energyDrop),
+      hamming: hammingDist / this.patternSize,
+      margin: 1 - this._computeMargin(recalled.state, recalled.fields)
+    };
   }
 
   train(options = {}) {
@@ -538,26 +2269,11 @@ class HopfieldAnomalyDetector extends EventEmitter {
     const hammings = [];
     const oneMinusMargins = [];
     for (const p of trainPatterns) {
-      const x = [...p];
-      const recalled = this.network.recall(x, this.maxIterations);
-      const E_input = this.network.energy(x);
-      const E_recalled = this.network.energy(recalled.state);
-      const energyDrop = E_input - E_recalled;
-      const hammingDist = x.reduce((sum, val, i) => sum + (val !== recalled.state[i] ? 1 : 0), 0);
-      const relativeHamming = hammingDist / this.patternSize;
-      let margin = 0;
-      for (let i = 0; i < this.patternSize; i++) {
-        let h = 0;
-        for (let j = 0; j < this.patternSize; j++) {
-          if (j !== i) h += this.network._getWeight(i, j) * recalled.state[j];
-        }
-        margin += Math.abs(h) * (recalled.state[i] === (h >= 0 ? 1 : -1) ? 1 : 0);
-      }
-      margin /= this.patternSize;
-      energies.push(E_input);
-      drops.push(Math.max(0, -energyDrop));
-      hammings.push(relativeHamming);
-      oneMinusMargins.push(1 - margin);
+      const m = this._patternMetrics(p);
+      energies.push(m.energy);
+      drops.push(m.drop);
+      hammings.push(m.hamming);
+      oneMinusMargins.push(m.margin);
     }
     this.baseline = {
       energy: this._computeStats(energies),
@@ -565,6 +2281,8 @@ class HopfieldAnomalyDetector extends EventEmitter {
       hamming: this._computeStats(hammings),
       margin: this._computeStats(oneMinusMargins)
     };
+    this._calibrationMetrics = null;
+    this._resetDrift();
 
     this.trained = true;
   }
@@ -573,103 +2291,479 @@ class HopfieldAnomalyDetector extends EventEmitter {
     this.train({ useDefaults: true });
   }
 
-  addDataPoint(features) {
-    const binary = this._featuresToBinary(features);
-    this.buffer.push(binary);
-    if (this.buffer.length > this.snapshotLength) {
-      this.buffer.shift();
+  /**
+   * Trains from historical feature records (in time order). Slides the
+   * window over the encoded records by `stride`, deduplicates the windows
+   * and stores a capacity-respecting set of prototypes chosen by `method`:
+   * 'frequency' (most common windows), 'kmedoids' (weighted k-medoids in
+   * Hamming space) or 'coverage' (greedy max-coverage within `radius`).
+   * Both compare all pairs, so they consider only the `maxCandidates`
+   * (default 2000) most frequent unique windows; memory grows with its square.
+   * Windows with unknown values are not learned. Returns a training report.
+   */
+  fit(records, options = {}) {
+    const { stride = 1 } = options;
+    if (!Number.isInteger(stride) || stride < 1) {
+      throw new Error('stride must be a positive integer');
     }
-    this.stats.dataPointsProcessed++;
-    return this.buffer.length === this.snapshotLength;
+    if (Object.keys(this.thresholds).length === 0) {
+      throw new Error('Thresholds must be set before training');
+    }
+    if (!Array.isArray(records) || records.length < this.snapshotLength) {
+      throw new Error(`At least ${this.snapshotLength} records are required to fit`);
+    }
+
+    const { windows, skipped, complete } = this._encodeWindows(records, stride);
+    const { method, ...report } = this._fitWindows(complete, options);
+    return { method, windows, skipped, ...report };
   }
 
-  detect() {
+  // Deduplicates complete windows (bit arrays), selects prototypes and trains on them
+  _fitWindows(complete, options = {}) {
+    const { method = 'frequency', radius = 0.1, maxPrototypes = null, maxIterations = 20, maxCandidates = 2000 } = options;
+    if (!PROTOTYPE_METHODS.includes(method)) {
+      throw new Error(`Unknown prototype selection method: ${method}`);
+    }
+    if (!Number.isInteger(maxCandidates) || maxCandidates < 1) {
+      throw new Error('maxCandidates must be a positive integer');
+    }
+    const unique = new Map();
+    for (const bits of complete) {
+      const key = bits.join('');
+      const entry = unique.get(key);
+      if (entry) entry.count++;
+      else unique.set(key, { pattern: this._binToBipolar(bits), count: 1 });
+    }
+    const candidates = [...unique.values()];
+    if (candidates.length === 0) {
+      throw new Error('No complete windows to fit');
+    }
+
+    // Most frequent first; Array#sort is stable so ties keep stream order
+    candidates.sort((a, b) => b.count - a.count);
+    const limit = Math.max(1, Math.min(candidates.length, maxPrototypes || this.network.estimateCapacity()));
+    const threshold = radius * this.patternSize;
+    let selected;
+    if (method === 'frequency') {
+      selected = candidates.slice(0, limit);
+    } else {
+      // Both compare every pair of windows, so only the most frequent are considered
+      const pool = candidates.slice(0, maxCandidates);
+      selected = method === 'kmedoids'
+        ? this._kMedoids(pool, limit, maxIterations)
+        : this._maxCoverage(pool, limit, threshold);
+    }
+
+    // Selections are ordered by importance: drop the tail until the
+    // correlation-adjusted capacity holds
+    let count = selected.length;
+    while (count > 1 && count > this.network.estimateCapacity(selected.slice(0, count).map(c => c.pattern))) {
+      count--;
+    }
+    const prototypes = selected.slice(0, count).map(c => c.pattern);
+    this.train({ patterns: prototypes });
+
+    const covered = candidates
+      .filter(c => prototypes.some(p => hammingDistance(c.pattern, p) <= threshold))
+      .reduce((sum, c) => sum + c.count, 0);
+    return {
+      method,
+      unique: candidates.length,
+      prototypes: prototypes.length,
+      capacity: this.network.estimateCapacity(prototypes),
+      coverage: covered / complete.length
+    };
+  }
+
+  /**
+   * Encodes historical records as addDataPoint() would (skipped records
+   * leave no step) and slides the window over them by `stride`. Windows
+   * with unknown values are counted in `skipped` and left out of `complete`.
+   */
+  _encodeWindows(records, stride = 1) {
+    const steps = this._encodeSeries(records);
+    const complete = [];
+    let windows = 0;
+    for (let t = this.snapshotLength; t <= steps.length; t += stride) {
+      const bits = steps.slice(t - this.snapshotLength, t).flat();
+      windows++;
+      if (!bits.includes(null)) complete.push(bits);
+    }
+    return { windows, skipped: windows - complete.length, complete };
+  }
+
+  /**
+   * Recomputes the baseline from held-out normal data instead of the
+   * training patterns, which recall to themselves and leave drop and
+   * hamming without spread. Accepts a record stream (windowed by `stride`)
+   * or an array of windows (`snapshotLength` records or bipolar patterns).
+   * `method` is 'standard' (mean/std), 'robust' (median, 1.4826·MAD) or
+   * 'trimmed' (mean/std after cutting `trim` from each tail). The sample
+   * size and method are kept in `baseline.calibration`.
+   */
+  calibrate(data, options = {}) {
+    const { method = 'standard', trim = 0.1, stride = 1 } = options;
+    if (!CALIBRATION_METHODS.includes(method)) {
+      throw new Error(`Unknown calibration method: ${method}`);
+    }
+    if (method === 'trimmed' && !(trim >= 0 && trim < 0.5)) {
+      throw new Error('trim must be in [0, 0.5)');
+    }
     if (!this.trained) {
       throw new Error('Network not trained. Call train() first.');
     }
-    if (this.buffer.length < this.snapshotLength) {
-      return null;
+    if (!Array.isArray(data) || data.length === 0) {
+      throw new Error('No calibration data provided');
     }
-    const snapshot = this.buffer.flat();
-    const x = this._binToBipolar(snapshot);
-    const recalled = this.network.recall(x, this.maxIterations);
 
-    // Energy-based metrics
-    const E_input = this.network.energy(x);
-    const E_recalled = this.network.energy(recalled.state);
-    const energyDrop = E_input - E_recalled;
-    const failedDrop = Math.max(0, -energyDrop);
-    const hammingDist = x.reduce((sum, val, i) => sum + (val !== recalled.state[i] ? 1 : 0), 0);
-    const relativeHamming = hammingDist / this.patternSize;
+    let patterns;
+    let skipped = 0;
+    if (Array.isArray(data[0])) {
+      patterns = data.map(window => this._windowPattern(window));
+      patterns.forEach((p, i) => this.network._validatePattern(p, i));
+    } else {
+      const encoded = this._encodeWindows(data, stride);
+      patterns = encoded.complete.map(bits => this._binToBipolar(bits));
+      skipped = encoded.skipped;
+    }
+    if (patterns.length === 0) {
+      throw new Error('No complete windows to calibrate');
+    }
 
-    // Margin calculation
-    let margin = 0;
-    for (let i = 0; i < this.patternSize; i++) {
-      let h = 0;
-      for (let j = 0; j < this.patternSize; j++) {
-        if (j !== i) h += this.network._getWeight(i, j) * recalled.state[j];
+    this._calibrationMetrics = patterns.map(p => this._patternMetrics(p));
+    this.baseline = this._calibratedBaseline(this._calibrationMetrics, method === 'trimmed' ? { method, trim } : { method });
+    this._resetDrift();
+    return { ...this.baseline, skipped };
+  }
+
+  _calibratedBaseline(metrics, calibration) {
+    const { method, trim } = calibration;
+    return {
+      ...Object.fromEntries(SCORE_COMPONENTS.map(c => [c, summarize(metrics.map(m => m[c]), method, trim)])),
+      calibration: { ...calibration, samples: metrics.length }
+    };
+  }
+
+  /**
+   * Encodes historical records in order with their own derived state and
+   * last values (for 'carry'), independent of the live stream. Returns one
+   * bit array per record that was not skipped.
+   */
+  _encodeSeries(records) {
+    let state = {};
+    const lastValues = {};
+    const steps = [];
+    for (const record of records) {
+      const result = this._deriveFeatures(record, state);
+      const binary = this._featuresToBinary(result.features, [], lastValues);
+      if (binary === null) continue;
+      state = result.state;
+      this._rememberValues(result.features, lastValues);
+      steps.push(binary);
+    }
+    return steps;
+  }
+
+  _rememberValues(values, lastValues) {
+    for (const key of this.featureNames) {
+      if (this._accepts(key, values[key])) lastValues[key] = values[key];
+    }
+  }
+
+  // A window given as `snapshotLength` feature records, or already a bipolar pattern
+  _windowPattern(window) {
+    if (Array.isArray(window) && window.length === this.snapshotLength && window.every(r => r && typeof r === 'object')) {
+      const steps = this._encodeSeries(window);
+      if (steps.length < this.snapshotLength) {
+        throw new Error('Window has records skipped by the missing-value policy');
       }
-      margin += Math.abs(h) * (recalled.state[i] === (h >= 0 ? 1 : -1) ? 1 : 0);
+      return this._binToBipolar(steps.flat());
     }
-    margin /= this.patternSize;
-    const oneMinusMargin = 1 - margin;
+    return window;
+  }
 
-    // Z-score based anomaly score
-    const zEnergy = (E_input - this.baseline.energy.mean) / this.baseline.energy.std;
-    const zDrop = (failedDrop - this.baseline.drop.mean) / this.baseline.drop.std;
-    const zHamming = (relativeHamming - this.baseline.hamming.mean) / this.baseline.hamming.std;
-    const zMargin = (oneMinusMargin - this.baseline.margin.mean) / this.baseline.margin.std;
-    const anomalyScore =
-      this.scoreWeights.energy * Math.max(0, zEnergy) +
-      this.scoreWeights.drop * Math.max(0, zDrop) +
-      this.scoreWeights.hamming * Math.max(0, zHamming) +
-      this.scoreWeights.margin * Math.max(0, zMargin);
+  /**
+   * Learns non-negative score weights from labeled windows ({ window,
+   * isAnomaly } with `snapshotLength` records or a bipolar pattern, or
+   * { metrics, isAnomaly } with a detect() result's metrics) by L2-regularized
+   * logistic regression on the clipped z-scores detect() sums. Weights are
+   * normalized to sum to 1; with `fitThreshold` the decision boundary
+   * becomes the anomaly threshold. Reports per-component importance and
+   * time-ordered k-fold cross-validation, and records how the weights were
+   * obtained in `scoreWeightsProvenance` (exported with the config).
+   */
+  fitScoreWeights(labeledWindows, options = {}) {
+    const {
+      l2 = 0.01, iterations = 500, learningRate = 0.5, folds = 5,
+      fitBias = true, fitThreshold = false, apply = true
+    } = options;
+    if (fitThreshold && !fitBias) {
+      throw new Error('fitThreshold requires fitBias');
+    }
+    if (!this.trained) {
+      throw new Error('Network not trained. Call train() first.');
+    }
+    if (!Array.isArray(labeledWindows) || labeledWindows.length === 0) {
+      throw new Error('No labeled windows provided');
+    }
+    const X = labeledWindows.map(({ window, metrics }, i) => {
+      if (metrics) return [metrics.zEnergy, metrics.zDrop, metrics.zHamming, metrics.zMargin].map(z => Math.max(0, z));
+      const pattern = this._windowPattern(window);
+      this.network._validatePattern(pattern, i);
+      const m = this._patternMetrics(pattern);
+      return SCORE_COMPONENTS.map(c => Math.max(0, (m[c] - this.baseline[c].mean) / this.baseline[c].std));
+    });
+    const y = labeledWindows.map(({ isAnomaly }) => (isAnomaly ? 1 : 0));
+    const positives = y.filter(Boolean).length;
+    if (positives === 0 || positives === y.length) {
+      throw new Error('Labeled windows must include both anomalous and normal examples');
+    }
 
-    // Adaptive threshold update
-    let currentThreshold = this.anomalyThreshold;
-    if (this.useAdaptiveThreshold) {
-      this.adaptiveThreshold.update(anomalyScore);
-      currentThreshold = this.adaptiveThreshold.threshold;
+    const train = indices => fitLogistic(indices.map(i => X[i]), indices.map(i => y[i]), { l2, iterations, learningRate, fitBias });
+    const model = train(X.map((_, i) => i));
+
+    // Contiguous, time-ordered folds
+    const k = Math.min(folds, X.length);
+    const foldResults = [];
+    for (let f = 0; f < k; f++) {
+      const start = Math.floor((f * X.length) / k);
+      const end = Math.floor(((f + 1) * X.length) / k);
+      const test = X.map((_, i) => i).filter(i => i >= start && i < end);
+      const rest = X.map((_, i) => i).filter(i => i < start || i >= end);
+      if (!rest.some(i => y[i]) || rest.every(i => y[i])) continue;
+      const fold = train(rest);
+      const p = test.map(i => sigmoid(fold.bias + fold.weights.reduce((sum, w, c) => sum + w * X[i][c], 0)));
+      foldResults.push({
+        logLoss: -test.reduce((sum, i, j) => sum + Math.log(Math.max(1e-12, y[i] ? p[j] : 1 - p[j])), 0) / test.length,
+        accuracy: test.filter((i, j) => (p[j] > 0.5) === Boolean(y[i])).length / test.length,
+        rocAuc: rocAuc(p, test.map(i => y[i]))
+      });
     }
+    const average = key => {
+      const values = foldResults.map(r => r[key]).filter(v => v !== null);
+      return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    };
 
-    const isAnomaly = anomalyScore > currentThreshold;
-    const timestamp = new Date().toISOString();
-    if (isAnomaly) {
-      this.stats.anomaliesDetected++;
-      this.stats.lastAnomaly = timestamp;
-      this.stats.anomalyHistory.push(timestamp);
-      if (this.stats.anomalyHistory.length > 100) {
-        this.stats.anomalyHistory.shift();
+    const total = model.weights.reduce((sum, w) => sum + w, 0);
+    if (total === 0) {
+      throw new Error('No score component separates the labeled windows');
+    }
+    const weights = Object.fromEntries(SCORE_COMPONENTS.map((c, i) => [c, model.weights[i] / total]));
+    // Standardized coefficients: weight times the spread of its component
+    const spread = SCORE_COMPONENTS.map((_, c) => summarize(X.map(x => x[c])).std);
+    const raw = model.weights.map((w, c) => w * spread[c]);
+    const rawTotal = raw.reduce((sum, v) => sum + v, 0);
+    const importance = Object.fromEntries(SCORE_COMPONENTS.map((c, i) => [c, raw[i] / rawTotal]));
+    const result = {
+      weights,
+      bias: model.bias,
+      threshold: fitThreshold ? -model.bias / total : null,
+      importance,
+      samples: X.length,
+      positives,
+      crossValidation: {
+        folds: foldResults.length,
+        logLoss: average('logLoss'),
+        accuracy: average('accuracy'),
+        rocAuc: average('rocAuc')
       }
-      this.emit('anomaly', { score: anomalyScore, timestamp });
+    };
+
+    if (apply) {
+      this.scoreWeights = weights;
+      if (fitThreshold) {
+        this.anomalyThreshold = result.threshold;
+        if (this.useAdaptiveThreshold) this.adaptiveThreshold.threshold = result.threshold;
+      }
+      this.scoreWeightsProvenance = {
+        method: 'logistic',
+        fittedAt: new Date().toISOString(),
+        samples: result.samples,
+        positives,
+        l2,
+        iterations,
+        bias: result.bias,
+        threshold: result.threshold,
+        importance,
+        crossValidation: result.crossValidation
+      };
     }
+    return result;
+  }
 
-    // Optimized gradient-based feature attribution
-    const h = new Float64Array(this.patternSize);
-    for (let i = 0; i < this.patternSize; i++) {
-      h[i] = 0;
-      for (let j = 0; j < this.patternSize; j++) {
-        h[i] += this.network._getWeight(i, j) * x[j];
+  // Weighted k-medoids (PAM-style alternation) seeded with the k most frequent windows
+  _kMedoids(candidates, k, maxIterations) {
+    const n = candidates.length;
+    const distances = new Int32Array(n * n);
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        distances[i * n + j] = distances[j * n + i] = hammingDistance(candidates[i].pattern, candidates[j].pattern);
       }
     }
-    const featureImpact = [];
-    for (let f = 0; f < this.featureCount; f++) {
-      let sum_si_hext = 0;
-      const start = f * this.snapshotLength;
-      const end = start + this.snapshotLength;
-      for (let i = start; i < end; i++) {
-        let intra = 0;
-        for (let j = start; j < end; j++) {
-          if (j !== i) intra += this.network._getWeight(i, j) * x[j];
+    let medoids = candidates.slice(0, k).map((_, i) => i);
+    let clusters = [];
+    for (let iter = 0; iter < maxIterations; iter++) {
+      clusters = medoids.map(() => []);
+      candidates.forEach((_, i) => {
+        let best = 0;
+        for (let m = 1; m < medoids.length; m++) {
+          if (distances[i * n + medoids[m]] < distances[i * n + medoids[best]]) best = m;
+        }
+        clusters[best].push(i);
+      });
+      const next = clusters.map((members, m) => {
+        let best = medoids[m];
+        let bestCost = Infinity;
+        for (const i of members) {
+          const cost = members.reduce((sum, j) => sum + candidates[j].count * distances[i * n + j], 0);
+          if (cost < bestCost) {
+            bestCost = cost;
+            best = i;
+          }
+        }
+        return best;
+      });
+      if (next.every((m, i) => m === medoids[i])) break;
+      medoids = next;
+    }
+    // Heaviest clusters first
+    const weight = m => clusters[m].reduce((sum, i) => sum + candidates[i].count, 0);
+    return medoids
+      .map((index, m) => ({ index, weight: weight(m) }))
+      .sort((a, b) => b.weight - a.weight)
+      .map(({ index }) => candidates[index]);
+  }
+
+  // Greedy max-coverage: repeatedly take the window covering the most uncovered windows
+  _maxCoverage(candidates, k, threshold) {
+    const covers = candidates.map(a =>
+      candidates.map((b, j) => (hammingDistance(a.pattern, b.pattern) <= threshold ? j : -1)).filter(j => j >= 0)
+    );
+    const covered = new Array(candidates.length).fill(false);
+    const selected = [];
+    while (selected.length < k) {
+      let best = -1;
+      let bestGain = 0;
+      covers.forEach((members, i) => {
+        const gain = members.reduce((sum, j) => sum + (covered[j] ? 0 : candidates[j].count), 0);
+        if (gain > bestGain) {
+          bestGain = gain;
+          best = i;
         }
-        const h_ext = h[i] - intra;
-        sum_si_hext += x[i] * h_ext;
+      });
+      if (best < 0) break;
+      covers[best].forEach(j => { covered[j] = true; });
+      selected.push(candidates[best]);
+    }
+    return selected;
+  }
+
+  /**
+   * Whitelist a normal window at runtime: stores it in the network in O(N²)
+   * and folds its metrics into the baseline with running mean/variance.
+   * A robust or trimmed calibration is instead re-summarized with the window
+   * added to its calibration windows (and left as is when those are not
+   * available, e.g. after loading). Accepts `snapshotLength` feature records,
+   * a bipolar pattern of `patternSize` values, or nothing to learn the
+   * current buffer.
+   */
+  learnNormal(window = null) {
+    if (Object.keys(this.thresholds).length === 0) {
+      throw new Error('Thresholds must be set before training');
+    }
+    let pattern;
+    if (window === null) {
+      if (this.buffer.length < this.snapshotLength) {
+        throw new Error('Buffer is not full; provide a window to learn');
+      }
+      if (this.buffer.some(bits => bits.includes(null))) {
+        throw new Error('Cannot learn a window containing unknown values');
+      }
+      pattern = this._binToBipolar(this.buffer.flat());
+    } else {
+      pattern = this._windowPattern(window);
+    }
+    this.network.addPattern(pattern);
+
+    const m = this._patternMetrics(pattern);
+    const { calibration } = this.baseline;
+    if (calibration && calibration.method !== 'standard') {
+      // Medians and trimmed means have no running update
+      if (this._calibrationMetrics) {
+        this._calibrationMetrics.push(m);
+        this.baseline = this._calibratedBaseline(this._calibrationMetrics, calibration);
       }
-      const deltaE = 2 * sum_si_hext;
+    } else {
+      this.baseline = {
+        energy: this._updateStats(this.baseline.energy, m.energy),
+        drop: this._updateStats(this.baseline.drop, m.drop),
+        hamming: this._updateStats(this.baseline.hamming, m.hamming),
+        margin: this._updateStats(this.baseline.margin, m.margin),
+        ...(calibration && { calibration: { ...calibration, samples: calibration.samples + 1 } })
+      };
+    }
+    this._resetDrift();
+
+    this.trained = true;
+    return pattern;
+  }
+
+  addDataPoint(features) {
+    return this._addStep(features, []);
+  }
+
+  // addDataPoint() encoding into `step`, which detectBatch() recycles from evicted steps
+  _addStep(features, step) {
+    const fired = [];
+    const { features: values, state } = this._deriveFeatures(features, this._derivedState);
+    let binary;
+    try {
+      binary = this._featuresToBinary(values, fired, this._lastValues, step);
+    } finally {
+      fired.forEach(policy => this.stats.missingValues[policy]++);
+    }
+    if (binary === null) {
+      return false;
+    }
+    this._derivedState = state;
+    this._recordTime = toMillis(features.timestamp);
+    this._rememberValues(values, this._lastValues);
+    this.buffer.push(binary);
+    this.bufferImputed.push(fired.length > 0);
+    if (this.buffer.length > this.snapshotLength) {
+      this.buffer.shift();
+      this.bufferImputed.shift();
+    }
+    this.stats.dataPointsProcessed++;
+    return this.buffer.length === this.snapshotLength;
+  }
+
+  detect() {
+    if (!this.trained) {
+      throw new Error('Network not trained. Call train() first.');
+    }
+    if (this.buffer.length < this.snapshotLength) {
+      return null;
+    }
+    const snapshot = this.buffer.flat();
+    const x = this._binToBipolar(snapshot);
+    const timestamp = new Date().toISOString();
+    const {
+      id, recalled, knownCount, E_input, E_recalled, energyDrop, hammingDist, relativeHamming, margin,
+      zEnergy, zDrop, zHamming, zMargin, anomalyScore, currentThreshold, isAnomaly
+    } = this._scoreWindow(x, timestamp);
+
+    // Optimized gradient-based feature attribution (ΔE of flipping all of a feature's neurons)
+    const blocks = this.featureNames.map((_, f) => this._featureIndices(f));
+    const deltas = this.network.flipEnergyDeltas(x, blocks, recalled.inputFields);
+    const featureImpact = [];
+    for (let f = 0; f < this.featureCount; f++) {
+      const { label } = this.thresholds[this.featureNames[f]];
       featureImpact.push({
         name: this.featureNames[f],
+        ...(label && { label }),
         index: f,
-        energyDelta: deltaE
+        energyDelta: deltas[f]
       });
     }
     featureImpact.sort((a, b) => Math.abs(b.energyDelta) - Math.abs(a.energyDelta));
@@ -678,14 +2772,13 @@ class HopfieldAnomalyDetector extends EventEmitter {
     const contributingFeatures = [];
     const recalledBits = this._bipolarToBin(recalled.state);
     for (let i = 0; i < this.featureCount; i++) {
-      const featureSlice = recalledBits.slice(
-        i * this.snapshotLength,
-        (i + 1) * this.snapshotLength
-      );
-      const featureActivation = featureSlice.filter(b => b === 1).length / this.snapshotLength;
+      const featureSlice = blocks[i].map(k => recalledBits[k]);
+      const featureActivation = featureSlice.filter(b => b === 1).length / featureSlice.length;
       if (featureActivation > 0) {
+        const { label } = this.thresholds[this.featureNames[i]];
         contributingFeatures.push({
           name: this.featureNames[i],
+          ...(label && { label }),
           index: i,
           activation: featureActivation,
           pattern: featureSlice
@@ -693,12 +2786,22 @@ class HopfieldAnomalyDetector extends EventEmitter {
       }
     }
 
+    const drift = this.driftMonitor
+      ? this._trackDrift(
+        { energy: zEnergy, drop: zDrop, hamming: zHamming, margin: zMargin }, anomalyScore, currentThreshold, isAnomaly,
+        this._recordTime === null ? timestamp : new Date(this._recordTime).toISOString()
+      )
+      : null;
+
     return {
+      id,
       isAnomaly,
       anomalyScore,
       confidence: Math.abs(anomalyScore - currentThreshold),
       timestamp,
       snapshot,
+      imputed: this.bufferImputed.some(Boolean),
+      unknownNeurons: this.patternSize - knownCount,
       recalledPattern: recalledBits,
       contributingFeatures, // Legacy
       featureImpact, // New gradient-based
@@ -718,13 +2821,391 @@ class HopfieldAnomalyDetector extends EventEmitter {
       convergence: {
         iterations: recalled.iterations,
         energyPath: recalled.energyPath,
-        converged: recalled.converged
+        converged: recalled.converged,
+        updateMode: recalled.updateMode,
+        oscillation: recalled.oscillation,
+        ...(recalled.temperatureSchedule && {
+          temperatureSchedule: recalled.temperatureSchedule,
+          acceptance: recalled.acceptance
+        })
+      },
+      ...(this.driftMonitor && { drift })
+    };
+  }
+
+  // Fields a record needs: non-derived features, derivation sources, then rate time keys
+  _batchColumns() {
+    const columns = this.featureNames.filter(name => !this.thresholds[name].derive);
+    const specs = this.featureNames.map(name => this.thresholds[name].derive).filter(Boolean);
+    const fields = [
+      ...specs.flatMap(spec => (PAIRWISE_TYPES.includes(spec.type) ? [spec.source, spec.with] : [spec.source])),
+      ...specs.filter(spec => spec.type === 'rate').map(spec => spec.timeKey || 'timestamp')
+    ];
+    fields.forEach(field => columns.includes(field) || columns.push(field));
+    return columns;
+  }
+
+  /**
+   * Scores a whole series as addDataPoint()/detect() would, continuing the
+   * current stream: same results, ids, threshold updates, stats, events and
+   * drift handling. `input` is an array of feature records or a row-major
+   * Float64Array of `columns` (default: the non-derived features, then the
+   * derivation sources and rate time keys that are not features; NaN is a
+   * missing value). Every `stride`-th complete window is scored, counting
+   * from the first in this call. `attribution: false` skips the top feature.
+   * Windows are stamped with their newest record's `timeKey` (default
+   * 'timestamp') when present, else the time they are scored. Step arrays
+   * evicted from the window are reused for the next rows' encodings.
+   * Returns columns (typed arrays) with one entry per scored window.
+   */
+  detectBatch(input, options = {}) {
+    const { stride = 1, attribution = true, timeKey = 'timestamp' } = options;
+    if (!this.trained) {
+      throw new Error('Network not trained. Call train() first.');
+    }
+    if (!Number.isInteger(stride) || stride < 1) {
+      throw new Error('stride must be a positive integer');
+    }
+    let rows;
+    let readRow;
+    if (input instanceof Float64Array) {
+      const columns = options.columns || this._batchColumns();
+      if (input.length % columns.length !== 0) {
+        throw new Error(`Matrix length ${input.length} is not a multiple of ${columns.length} columns`);
+      }
+      rows = input.length / columns.length;
+      const record = {};
+      readRow = r => {
+        columns.forEach((name, c) => {
+          const value = input[r * columns.length + c];
+          record[name] = Number.isNaN(value) ? undefined : value;
+        });
+        return record;
+      };
+    } else if (Array.isArray(input)) {
+      rows = input.length;
+      readRow = r => input[r];
+    } else {
+      throw new Error('detectBatch expects an array of records or a Float64Array');
+    }
+
+    const index = new Int32Array(rows);
+    const ids = new Uint32Array(rows);
+    const scores = new Float64Array(rows);
+    const thresholds = new Float64Array(rows);
+    const flags = new Uint8Array(rows);
+    const z = SCORE_COMPONENTS.map(() => new Float64Array(rows));
+    const topFeature = attribution ? new Int32Array(rows) : null;
+    const blocks = attribution ? this.featureNames.map((_, f) => this._featureIndices(f)) : null;
+    const x = new Array(this.patternSize);
+    let spare = [];
+    let count = 0;
+    let ready = 0;
+    let skipped = 0;
+    for (let r = 0; r < rows; r++) {
+      const processed = this.stats.dataPointsProcessed;
+      const oldest = this.buffer.length === this.snapshotLength ? this.buffer[0] : null;
+      const record = readRow(r);
+      const full = this._addStep(record, spare);
+      if (this.stats.dataPointsProcessed === processed) {
+        skipped++;
+      } else {
+        spare = oldest || [];
+      }
+      if (!full || ready++ % stride !== 0) continue;
+
+      let k = 0;
+      for (const step of this.buffer) {
+        for (const bit of step) x[k++] = bit === null ? 0 : bit === 0 ? -1 : 1;
+      }
+      const time = toMillis(record[timeKey]);
+      const timestamp = new Date(time === null ? Date.now() : time).toISOString();
+      const scored = this._scoreWindow(x, timestamp);
+      const { zEnergy, zDrop, zHamming, zMargin } = scored;
+      index[count] = r;
+      ids[count] = scored.id;
+      scores[count] = scored.anomalyScore;
+      thresholds[count] = scored.currentThreshold;
+      flags[count] = scored.isAnomaly ? 1 : 0;
+      [zEnergy, zDrop, zHamming, zMargin].forEach((value, c) => { z[c][count] = value; });
+      if (attribution) {
+        // First feature with the largest |ΔE|, as detect()'s stable featureImpact sort
+        const deltas = this.network.flipEnergyDeltas(x, blocks, scored.recalled.inputFields);
+        let top = 0;
+        for (let f = 1; f < deltas.length; f++) {
+          if (Math.abs(deltas[f]) > Math.abs(deltas[top])) top = f;
+        }
+        topFeature[count] = top;
+      }
+      if (this.driftMonitor) {
+        this._trackDrift(
+          { energy: zEnergy, drop: zDrop, hamming: zHamming, margin: zMargin },
+          scored.anomalyScore, scored.currentThreshold, scored.isAnomaly, timestamp
+        );
+      }
+      count++;
+    }
+
+    return {
+      rows,
+      skipped,
+      windows: count,
+      anomalies: flags.subarray(0, count).reduce((sum, flag) => sum + flag, 0),
+      featureNames: [...this.featureNames],
+      index: index.subarray(0, count),
+      ids: ids.subarray(0, count),
+      scores: scores.subarray(0, count),
+      thresholds: thresholds.subarray(0, count),
+      flags: flags.subarray(0, count),
+      metrics: {
+        zEnergy: z[0].subarray(0, count),
+        zDrop: z[1].subarray(0, count),
+        zHamming: z[2].subarray(0, count),
+        zMargin: z[3].subarray(0, count)
+      },
+      topFeature: attribution ? topFeature.subarray(0, count) : null
+    };
+  }
+
+  /**
+   * Recall, z-scored metrics and the threshold decision for a bipolar
+   * window, with the bookkeeping detect() and detectBatch() share: adaptive
+   * threshold, retained result for feedback(), stats and the 'anomaly' event.
+   */
+  _scoreWindow(x, timestamp) {
+    const known = x.map(v => v !== 0);
+    const knownCount = known.filter(Boolean).length;
+    const recalled = this.network.recall(x, this.maxIterations);
+
+    // Energy-based metrics (tracked incrementally by recall)
+    const E_input = recalled.energyPath[0];
+    const E_recalled = recalled.energyPath[recalled.energyPath.length - 1];
+    const energyDrop = E_input - E_recalled;
+    const failedDrop = Math.max(0, -energyDrop);
+    // Unknown neurons are filled in by recall but excluded from scoring
+    const hammingDist = x.reduce((sum, val, i) => sum + (known[i] && val !== recalled.state[i] ? 1 : 0), 0);
+    const relativeHamming = knownCount > 0 ? hammingDist / knownCount : 0;
+
+    // Margin calculation (reuses the recalled state's cached fields)
+    const margin = this._computeMargin(recalled.state, recalled.fields, knownCount < this.patternSize ? known : null);
+    const oneMinusMargin = 1 - margin;
+
+    // Z-score based anomaly score
+    const zEnergy = (E_input - this.baseline.energy.mean) / this.baseline.energy.std;
+    const zDrop = (failedDrop - this.baseline.drop.mean) / this.baseline.drop.std;
+    const zHamming = (relativeHamming - this.baseline.hamming.mean) / this.baseline.hamming.std;
+    const zMargin = (oneMinusMargin - this.baseline.margin.mean) / this.baseline.margin.std;
+    const anomalyScore =
+      this.scoreWeights.energy * Math.max(0, zEnergy) +
+      this.scoreWeights.drop * Math.max(0, zDrop) +
+      this.scoreWeights.hamming * Math.max(0, zHamming) +
+      this.scoreWeights.margin * Math.max(0, zMargin);
+
+    // Adaptive threshold update
+    let currentThreshold = this.anomalyThreshold;
+    if (this.useAdaptiveThreshold) {
+      this.adaptiveThreshold.update(anomalyScore);
+      currentThreshold = this.adaptiveThreshold.threshold;
+    }
+
+    const isAnomaly = anomalyScore > currentThreshold;
+    const id = ++this._lastId;
+    this._retained.set(id, { score: anomalyScore, threshold: currentThreshold, isAnomaly });
+    if (this._retained.size > this.feedbackWindow) {
+      this._retained.delete(this._retained.keys().next().value);
+    }
+    if (isAnomaly) {
+      this.stats.anomaliesDetected++;
+      this.stats.lastAnomaly = timestamp;
+      this.stats.anomalyHistory.push(timestamp);
+      if (this.stats.anomalyHistory.length > 100) {
+        this.stats.anomalyHistory.shift();
       }
+      this.emit('anomaly', { score: anomalyScore, timestamp });
+    }
+
+    return {
+      id, recalled, knownCount, E_input, E_recalled, energyDrop, hammingDist, relativeHamming, margin,
+      zEnergy, zDrop, zHamming, zMargin, anomalyScore, currentThreshold, isAnomaly
     };
   }
 
+  /**
+   * Operator confirmation for a detect() result: updates the confusion
+   * matrix and, with an adaptive threshold, applies the labeled adjustment
+   * to the result's score at the threshold it was decided with. In
+   * unsupervised adaptive mode the percentile rule overrides the adjustment
+   * and a one-time warning is logged. Results older than the last `feedbackWindow`
+   * detections are no longer retained and are reported as rejected.
+   */
+  feedback(id, { isAnomaly } = {}) {
+    if (typeof isAnomaly !== 'boolean') {
+      throw new Error('feedback requires isAnomaly (boolean)');
+    }
+    const entry = this._retained.get(id);
+    let reason = null;
+    if (!entry) {
+      reason = Number.isInteger(id) && id > 0 && id <= this._lastId ? 'expired' : 'unknown';
+    } else if (entry.label !== undefined) {
+      reason = 'duplicate';
+    }
+    if (reason) {
+      this._feedback.rejected[reason]++;
+      return { id, accepted: false, reason };
+    }
+
+    entry.label = isAnomaly;
+    const outcome = (entry.isAnomaly === isAnomaly ? 't' : 'f') + (entry.isAnomaly ? 'p' : 'n');
+    this._feedback.outcomes.push(outcome);
+    if (this._feedback.outcomes.length > this.feedbackWindow) this._feedback.outcomes.shift();
+    if (this.useAdaptiveThreshold) {
+      if (this.unsupervisedAdaptive && !this._feedbackWarned) {
+        this._feedbackWarned = true;
+        console.warn('[Hopfield] feedback() adjusts an unsupervised adaptive threshold that the 95th-percentile rule ' +
+                     'resets on the next window. Use unsupervisedAdaptive: false to tune from feedback.');
+      }
+      this.adaptiveThreshold.feedback(entry.score, isAnomaly, entry.threshold);
+    }
+    return { id, accepted: true, outcome };
+  }
+
+  /**
+   * Feeds one scored window to the drift monitor: the z-scored metrics and
+   * each feature's bit rate in the newest step, at the newest record's
+   * `timestamp` (else the time it is scored). Emits 'drift' and applies
+   * the retrain policy. Windows without missing values are kept (up to
+   * `retrainWindow`, restarting at each drift) as retraining candidates.
+   */
+  _trackDrift(metrics, score, threshold, isAnomaly, timestamp) {
+    const { retrain, retrainWindow } = this.driftMonitor.options;
+    if (!this.bufferImputed.some(Boolean)) {
+      this._recentWindows.push({ bits: this.buffer.flat(), score });
+      if (this._recentWindows.length > retrainWindow) this._recentWindows.shift();
+    }
+    if (this._shadow) this._evaluateShadow(threshold, isAnomaly);
+
+    const step = this.buffer[this.buffer.length - 1];
+    const features = {};
+    let offset = 0;
+    this.featureNames.forEach((name, f) => {
+      const bits = step.slice(offset, offset + this.featureWidths[f]).filter(b => b !== null);
+      if (bits.length > 0) features[name] = bits.reduce((sum, b) => sum + b, 0) / bits.length;
+      offset += this.featureWidths[f];
+    });
+    const drifting = this.driftMonitor.update({ metrics, features }, timestamp);
+    let event = null;
+    if (drifting) {
+      event = { ...drifting, method: this.driftMonitor.options.method, timestamp: this.driftMonitor.lastDrift };
+      this.emit('drift', event);
+      // Retrain only on windows from after the drift
+      this._recentWindows = [];
+      if (retrain !== 'manual') this._retrainPending = true;
+    }
+    // Retries on later windows until enough normal windows are buffered
+    if (this._retrainPending) {
+      if (retrain === 'auto' && this._normalWindows().length >= this.driftMonitor.options.minWindows) {
+        this.retrain();
+      } else if (retrain === 'shadow' && !this._shadow) {
+        this._startShadow();
+      }
+    }
+    return event;
+  }
+
+  // Recent windows judged normal: score within 3 robust deviations of the median
+  _normalWindows() {
+    const { mean: median, std } = summarize(this._recentWindows.map(w => w.score), 'robust');
+    return this._recentWindows.filter(w => w.score <= median + 3 * std);
+  }
+
+  /**
+   * Retrains from the recent windows judged normal with fit()'s prototype
+   * selection (same options), recalibrates a calibrated baseline with its
+   * method and restarts the drift references. Requires the `drift` option.
+   */
+  retrain(options = {}) {
+    if (!this.driftMonitor) {
+      throw new Error('Retraining requires drift monitoring (the drift option)');
+    }
+    const windows = this._normalWindows();
+    const { minWindows } = this.driftMonitor.options;
+    if (this._recentWindows.length === 0 || windows.length < minWindows) {
+      throw new Error(`Not enough normal windows to retrain (${windows.length} of ${minWindows})`);
+    }
+    const report = this._retrainFrom(windows, options);
+    this._afterRetrain();
+    this.emit('retrain', { policy: this.driftMonitor.options.retrain, ...report });
+    return report;
+  }
+
+  _retrainFrom(windows, options = {}) {
+    const { calibration } = this.baseline;
+    const report = { windows: windows.length, ...this._fitWindows(windows.map(w => w.bits), options) };
+    if (calibration) {
+      this.calibrate(windows.map(w => this._binToBipolar(w.bits)), calibration);
+    }
+    return report;
+  }
+
+  _afterRetrain() {
+    this.driftMonitor.retrains++;
+    this._resetDrift();
+  }
+
+  // A new model or baseline restarts the drift reference and the windows scored against the old one
+  _resetDrift() {
+    if (!this.driftMonitor) return;
+    this.driftMonitor.reset();
+    this._recentWindows = [];
+    this._retrainPending = false;
+    this._shadow = null;
+  }
+
+  _startShadow() {
+    const windows = this._normalWindows();
+    if (this._recentWindows.length === 0 || windows.length < this.driftMonitor.options.minWindows) return;
+    const shadow = HopfieldAnomalyDetector._restore(
+      { ...this._configJSON(), adaptiveThreshold: false, drift: null },
+      new HopfieldNetwork(this.patternSize, this._networkOptions)
+    );
+    const report = shadow._retrainFrom(windows);
+    this._shadow = { detector: shadow, report, evaluated: 0, anomalies: 0, activeAnomalies: 0 };
+    this._retrainPending = false;
+  }
+
+  // Scores the window with the shadow at the active threshold; swaps once it flags fewer windows
+  _evaluateShadow(threshold, isAnomaly) {
+    const shadow = this._shadow;
+    shadow.detector.buffer = this.buffer;
+    shadow.detector.bufferImputed = this.bufferImputed;
+    shadow.detector.anomalyThreshold = threshold;
+    if (shadow.detector.detect().isAnomaly) shadow.anomalies++;
+    if (isAnomaly) shadow.activeAnomalies++;
+    shadow.evaluated++;
+    if (shadow.evaluated < this.driftMonitor.options.shadowWindows) return;
+
+    const swapped = shadow.anomalies < shadow.activeAnomalies;
+    if (swapped) {
+      this.network = shadow.detector.network;
+      this.baseline = shadow.detector.baseline;
+      this._calibrationMetrics = shadow.detector._calibrationMetrics;
+      this._afterRetrain();
+    }
+    this._shadow = null;
+    this.emit('retrain', {
+      policy: 'shadow',
+      swapped,
+      evaluated: shadow.evaluated,
+      anomalies: { active: shadow.activeAnomalies, shadow: shadow.anomalies },
+      ...shadow.report
+    });
+  }
+
   reset() {
     this.buffer = [];
+    this.bufferImputed = [];
+    this._derivedState = {};
+    this._recordTime = null;
   }
 
   getStats() {
@@ -742,6 +3223,26 @@ class HopfieldAnomalyDetector extends EventEmitter {
     if (this.useAdaptiveThreshold) {
       stats.thresholdStats = this.adaptiveThreshold.getStats();
     }
+    const confusion = { tp: 0, fp: 0, fn: 0, tn: 0 };
+    this._feedback.outcomes.forEach(outcome => confusion[outcome]++);
+    stats.feedback = {
+      labeled: this._feedback.outcomes.length,
+      ...confusion,
+      precision: confusion.tp + confusion.fp > 0 ? confusion.tp / (confusion.tp + confusion.fp) : null,
+      recall: confusion.tp + confusion.fn > 0 ? confusion.tp / (confusion.tp + confusion.fn) : null,
+      rejected: { ...this._feedback.rejected }
+    };
+    if (this.driftMonitor) {
+      stats.drift = {
+        ...this.driftMonitor.getStats(),
+        recentWindows: this._recentWindows.length,
+        retrainPending: this._retrainPending,
+        shadow: this._shadow && {
+          evaluated: this._shadow.evaluated,
+          anomalies: { active: this._shadow.activeAnomalies, shadow: this._shadow.anomalies }
+        }
+      };
+    }
     return stats;
   }
 
@@ -783,23 +3284,317 @@ class HopfieldAnomalyDetector extends EventEmitter {
   }
 
   exportConfig() {
+    return { ...this._configJSON(), network: this.network.toJSON() };
+  }
+
+  _configJSON() {
     return {
+      configVersion: CONFIG_VERSION,
       featureCount: this.featureCount,
       snapshotLength: this.snapshotLength,
       anomalyThreshold: this.anomalyThreshold,
       maxIterations: this.maxIterations,
       learningRule: this.network.learningRule,
       adaptiveThreshold: this.useAdaptiveThreshold,
+      unsupervisedAdaptive: this.unsupervisedAdaptive,
+      strictCapacity: this.network.strictCapacity,
+      missingPolicy: this.missingPolicy,
+      feedbackWindow: this.feedbackWindow,
+      drift: this.driftMonitor ? { ...this.driftMonitor.options } : null,
       seed: this.network.seed,
       scoreWeights: this.scoreWeights,
+      scoreWeightsProvenance: this.scoreWeightsProvenance,
       thresholds: this.thresholds,
       featureNames: this.featureNames,
-      network: this.network.toJSON(),
       baseline: this.baseline
     };
   }
 
+  /**
+   * Binary model: 'HOPD' magic, format version, the exported config without
+   * the network as JSON, the network's own binary block (see
+   * HopfieldNetwork#toBuffer) and a trailing CRC-32.
+   */
+  toBuffer(options = {}) {
+    return this._toBuffer(this._configJSON(), options);
+  }
+
+  _toBuffer(config, options) {
+    const header = Buffer.from(JSON.stringify(config), 'utf8');
+    const networkBuf = this.network.toBuffer(options);
+    const buf = Buffer.alloc(8 + 4 + header.length + 4 + networkBuf.length + 4);
+    buf.write(DETECTOR_MAGIC, 0, 'latin1');
+    buf.writeUInt8(BINARY_FORMAT_VERSION, 4);
+    let offset = 8;
+    buf.writeUInt32LE(header.length, offset);
+    header.copy(buf, offset + 4);
+    offset += 4 + header.length;
+    buf.writeUInt32LE(networkBuf.length, offset);
+    networkBuf.copy(buf, offset + 4);
+    offset += 4 + networkBuf.length;
+    buf.writeUInt32LE(crc32(buf.subarray(0, offset)), offset);
+    return buf;
+  }
+
+  static fromBuffer(input) {
+    const { config, network } = HopfieldAnomalyDetector._readBuffer(input);
+    return HopfieldAnomalyDetector._restore(config, network);
+  }
+
+  // Checks and parses a detector buffer into its migrated config and network
+  static _readBuffer(input) {
+    const buf = Buffer.isBuffer(input) ? input : Buffer.from(input.buffer, input.byteOffset, input.byteLength);
+    if (buf.length < 20 || buf.toString('latin1', 0, 4) !== DETECTOR_MAGIC) {
+      throw new Error('Invalid detector buffer: bad magic');
+    }
+    const version = buf.readUInt8(4);
+    if (version > BINARY_FORMAT_VERSION) {
+      throw new Error(`Unsupported detector buffer version: ${version}`);
+    }
+    if (crc32(buf.subarray(0, buf.length - 4)) !== buf.readUInt32LE(buf.length - 4)) {
+      throw new Error('Invalid detector buffer: checksum mismatch');
+    }
+    let offset = 8;
+    const headerLength = buf.readUInt32LE(offset);
+    const config = JSON.parse(buf.toString('utf8', offset + 4, offset + 4 + headerLength));
+    offset += 4 + headerLength;
+    const networkLength = buf.readUInt32LE(offset);
+    const network = HopfieldNetwork.fromBuffer(buf.subarray(offset + 4, offset + 4 + networkLength));
+    const migrated = HopfieldAnomalyDetector._checkConfig({ ...config, network: network.toJSON() });
+    return { config: migrated, network };
+  }
+
   static fromConfig(config) {
+    const migrated = HopfieldAnomalyDetector._checkConfig(config);
+    return HopfieldAnomalyDetector._restore(migrated, HopfieldNetwork.fromJSON(migrated.network));
+  }
+
+  /**
+   * Upgrades a config exported by any earlier 3.x release to CONFIG_VERSION.
+   */
+  static migrateConfig(config) {
+    let migrated = config;
+    let version = migrated.configVersion || 0;
+    if (!Number.isInteger(version) || version < 0) {
+      throw new Error(`Invalid config version: ${version}`);
+    }
+    if (version > CONFIG_VERSION) {
+      throw new Error(`Unsupported config version: ${version}`);
+    }
+    while (version < CONFIG_VERSION) {
+      migrated = CONFIG_MIGRATIONS[version](migrated);
+      version = migrated.configVersion;
+    }
+    return migrated;
+  }
+
+  /**
+   * Validates an exported config (after migration) without loading it.
+   * Returns { valid, errors } where each error is { path, message }.
+   */
+  static validateConfig(config) {
+    const errors = [];
+    const fail = (path, message) => errors.push({ path, message });
+    if (!config || typeof config !== 'object') {
+      fail('', 'config must be an object');
+      return { valid: false, errors };
+    }
+    const version = config.configVersion || 0;
+    if (!Number.isInteger(version) || version < 0) {
+      fail('configVersion', 'must be a non-negative integer');
+      return { valid: false, errors };
+    }
+    if (version > CONFIG_VERSION) {
+      fail('configVersion', `unsupported version ${config.configVersion} (max ${CONFIG_VERSION})`);
+      return { valid: false, errors };
+    }
+    const c = HopfieldAnomalyDetector.migrateConfig(config);
+
+    const { featureCount, snapshotLength } = c;
+    if (!Number.isInteger(featureCount) || featureCount <= 0) {
+      fail('featureCount', 'must be a positive integer');
+    }
+    if (!Number.isInteger(snapshotLength) || snapshotLength <= 0) {
+      fail('snapshotLength', 'must be a positive integer');
+    }
+    if (!LEARNING_RULES.includes(c.learningRule)) {
+      fail('learningRule', `unknown learning rule '${c.learningRule}'`);
+    }
+    if (c.missingPolicy !== undefined && !MISSING_POLICIES.includes(c.missingPolicy)) {
+      fail('missingPolicy', `unknown missing-value policy '${c.missingPolicy}'`);
+    }
+    if (!c.thresholds || typeof c.thresholds !== 'object') {
+      fail('thresholds', 'must be an object');
+    } else {
+      const keys = Object.keys(c.thresholds);
+      if (keys.length !== featureCount) {
+        fail('thresholds', `expected ${featureCount} thresholds, got ${keys.length}`);
+      }
+      keys.forEach(key => {
+        const error = thresholdError(key, expandRelation(c.thresholds[key]));
+        if (error) fail(`thresholds.${key}`, error);
+      });
+      (c.featureNames || []).forEach((name, i) => {
+        if (!(name in c.thresholds)) fail(`featureNames[${i}]`, `no threshold for '${name}'`);
+      });
+    }
+    const isObject = value => Boolean(value) && typeof value === 'object';
+    if (!isObject(c.scoreWeights)) {
+      fail('scoreWeights', 'missing scoreWeights');
+    } else {
+      SCORE_COMPONENTS.forEach(key => {
+        if (!Number.isFinite(c.scoreWeights[key])) {
+          fail(`scoreWeights.${key}`, 'must be a finite number');
+        }
+      });
+    }
+    if (!isObject(c.baseline)) {
+      fail('baseline', 'missing baseline');
+    } else {
+      SCORE_COMPONENTS.forEach(key => {
+        const stats = c.baseline[key];
+        if (!stats || !Number.isFinite(stats.mean)) {
+          fail(`baseline.${key}.mean`, 'must be a finite number');
+        }
+        if (!stats || !(stats.std > 0)) {
+          fail(`baseline.${key}.std`, 'must be a positive number');
+        }
+      });
+    }
+    const provenance = c.scoreWeightsProvenance;
+    if (provenance !== undefined && provenance !== null && (typeof provenance !== 'object' || typeof provenance.method !== 'string')) {
+      fail('scoreWeightsProvenance', 'must be null or an object with a method');
+    }
+    if (c.feedbackWindow !== undefined && (!Number.isInteger(c.feedbackWindow) || c.feedbackWindow <= 0)) {
+      fail('feedbackWindow', 'must be a positive integer');
+    }
+    if (c.drift) {
+      const error = DriftMonitor.validate(c.drift);
+      if (error) fail('drift', error);
+    }
+    if (isObject(c.baseline) && c.baseline.calibration !== undefined) {
+      const { method, samples } = c.baseline.calibration || {};
+      if (!CALIBRATION_METHODS.includes(method)) {
+        fail('baseline.calibration.method', `unknown calibration method '${method}'`);
+      }
+      if (!Number.isInteger(samples) || samples <= 0) {
+        fail('baseline.calibration.samples', 'must be a positive integer');
+      }
+    }
+    if (!c.network) {
+      fail('network', 'missing network');
+    } else {
+      const names = c.featureNames && c.featureNames.length ? c.featureNames : Object.keys(c.thresholds || {});
+      const thresholdsValid = c.thresholds && names.length > 0 && names.every(name => !thresholdError(name, expandRelation(c.thresholds[name])));
+      const snapshotWidth = thresholdsValid
+        ? names.reduce((sum, name) => sum + FeatureEncoder.create(expandRelation(c.thresholds[name])).width, 0)
+        : featureCount;
+      HopfieldNetwork.validateJSON(c.network, snapshotWidth * snapshotLength).forEach(e => {
+        fail(e.path ? `network.${e.path}` : 'network', e.message);
+      });
+      if (c.network.learningRule !== c.learningRule) {
+        fail('network.learningRule', `'${c.network.learningRule}' does not match learningRule '${c.learningRule}'`);
+      }
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  static _checkConfig(config) {
+    const { valid, errors } = HopfieldAnomalyDetector.validateConfig(config);
+    if (!valid) {
+      const details = errors.map(e => (e.path ? `${e.path}: ${e.message}` : e.message)).join('; ');
+      throw new Error(`Invalid config: ${details}`);
+    }
+    return HopfieldAnomalyDetector.migrateConfig(config);
+  }
+
+  /**
+   * Snapshot of the model plus all runtime state (sliding buffer, adaptive
+   * threshold window, stats and RNG position) so a restored detector resumes
+   * mid-stream with results identical to one that never stopped.
+   */
+  saveState() {
+    return {
+      stateVersion: STATE_VERSION,
+      config: this.exportConfig(),
+      runtime: {
+        buffer: this.buffer.map(bits => [...bits]),
+        bufferImputed: [...this.bufferImputed],
+        lastValues: { ...this._lastValues },
+        derivedState: JSON.parse(JSON.stringify(this._derivedState)),
+        recordTime: this._recordTime,
+        stats: {
+          ...this.stats,
+          anomalyHistory: [...this.stats.anomalyHistory],
+          missingValues: { ...this.stats.missingValues }
+        },
+        adaptiveThreshold: this.useAdaptiveThreshold ? this.adaptiveThreshold.toJSON() : null,
+        lastId: this._lastId,
+        retained: [...this._retained].map(([id, entry]) => ({ id, ...entry })),
+        feedback: {
+          outcomes: [...this._feedback.outcomes],
+          rejected: { ...this._feedback.rejected }
+        },
+        drift: this.driftMonitor ? this.driftMonitor.toJSON() : null,
+        recentWindows: this._recentWindows.map(w => ({ bits: [...w.bits], score: w.score })),
+        // A shadow under evaluation is not saved; the restored detector starts a new one
+        retrainPending: this._retrainPending || this._shadow !== null,
+        rngState: this.network._rngState
+      }
+    };
+  }
+
+  static migrateState(snapshot) {
+    let migrated = snapshot;
+    let version = migrated.stateVersion || 0;
+    if (version > STATE_VERSION) {
+      throw new Error(`Unsupported state version: ${version}`);
+    }
+    while (version < STATE_VERSION) {
+      migrated = STATE_MIGRATIONS[version](migrated);
+      version = migrated.stateVersion;
+    }
+    return migrated;
+  }
+
+  static restoreState(snapshot) {
+    const { config, runtime } = HopfieldAnomalyDetector.migrateState(snapshot);
+    const detector = HopfieldAnomalyDetector.fromConfig(config);
+    detector.buffer = runtime.buffer.map(bits => [...bits]);
+    detector.bufferImputed = runtime.bufferImputed ? [...runtime.bufferImputed] : detector.buffer.map(() => false);
+    detector._lastValues = { ...runtime.lastValues };
+    detector._derivedState = runtime.derivedState ? JSON.parse(JSON.stringify(runtime.derivedState)) : {};
+    detector._recordTime = Number.isFinite(runtime.recordTime) ? runtime.recordTime : null;
+    if (runtime.stats) {
+      detector.stats = {
+        ...runtime.stats,
+        anomalyHistory: [...runtime.stats.anomalyHistory],
+        missingValues: { ...detector.stats.missingValues, ...runtime.stats.missingValues }
+      };
+    }
+    if (runtime.adaptiveThreshold && detector.useAdaptiveThreshold) {
+      detector.adaptiveThreshold = AdaptiveThreshold.fromJSON(runtime.adaptiveThreshold);
+    }
+    if (runtime.retained) {
+      detector._lastId = runtime.lastId;
+      detector._retained = new Map(runtime.retained.map(({ id, ...entry }) => [id, entry]));
+      detector._feedback = {
+        outcomes: [...runtime.feedback.outcomes],
+        rejected: { ...runtime.feedback.rejected }
+      };
+    }
+    if (runtime.drift && detector.driftMonitor) {
+      detector.driftMonitor = DriftMonitor.fromJSON(runtime.drift);
+      detector._recentWindows = runtime.recentWindows.map(w => ({ bits: [...w.bits], score: w.score }));
+      detector._retrainPending = runtime.retrainPending;
+    }
+    if (runtime.rngState !== null && runtime.rngState !== undefined) {
+      detector.network._rngState = runtime.rngState;
+    }
+    return detector;
+  }
+
+  static _restore(config, network) {
     const detector = new HopfieldAnomalyDetector({
       featureCount: config.featureCount,
       snapshotLength: config.snapshotLength,
@@ -807,13 +3602,21 @@ class HopfieldAnomalyDetector extends EventEmitter {
       maxIterations: config.maxIterations,
       learningRule: config.learningRule,
       adaptiveThreshold: config.adaptiveThreshold,
+      unsupervisedAdaptive: config.unsupervisedAdaptive,
+      strictCapacity: config.strictCapacity,
+      missingPolicy: config.missingPolicy,
       scoreWeights: config.scoreWeights,
+      feedbackWindow: config.feedbackWindow,
+      drift: config.drift || null,
       seed: config.seed
     });
     detector.setThresholds(config.thresholds, config.featureNames);
-    detector.network = HopfieldNetwork.fromJSON(config.network);
+    // Networks built later (shadow retraining) take the loaded network's settings
+    detector._networkOptions = { ...network._settingsJSON(), annealingSchedule: network.annealingSchedule };
+    detector.network = network;
     detector.trained = detector.network.trained;
     detector.baseline = config.baseline;
+    detector.scoreWeightsProvenance = config.scoreWeightsProvenance || null;
     return detector;
   }
 }
@@ -822,10 +3625,39 @@ class HopfieldAnomalyDetector extends EventEmitter {
  * High-level Monitor class
  */
 class AnomalyMonitor extends EventEmitter {
+  /**
+   * `config.window` controls the detection cadence: `mode` 'sliding' scores
+   * every `hop`-th full window, 'tumbling' only non-overlapping ones. With
+   * `duration` (ms) readings are resampled into snapshotLength slots per
+   * window, combining a slot's readings per feature with `aggregate` (a rule
+   * or { feature: rule }); non-numeric values keep the slot's last reading.
+   */
   constructor(config) {
     super();
     this.detector = new HopfieldAnomalyDetector(config);
-    this.callbacks = { onAnomaly: [], onNormal: [], onData: [] };
+    this.callbacks = { onAnomaly: [], onNormal: [], onData: [], onDrift: [] };
+    const { mode = 'sliding', hop, duration = null, aggregate = 'mean', timeKey = 'timestamp' } = config.window || {};
+    if (!WINDOW_MODES.includes(mode)) {
+      throw new Error(`Unknown window mode: ${mode}`);
+    }
+    if (mode === 'tumbling' && hop !== undefined) {
+      throw new Error('Tumbling windows hop by snapshotLength; omit hop');
+    }
+    if (hop !== undefined && (!Number.isInteger(hop) || hop < 1)) {
+      throw new Error('hop must be a positive integer');
+    }
+    if (duration !== null && (!Number.isFinite(duration) || duration <= 0)) {
+      throw new Error('duration must be a positive number of milliseconds');
+    }
+    const rules = typeof aggregate === 'string' ? [aggregate] : Object.values(aggregate);
+    const unknown = rules.find(rule => !AGGREGATIONS[rule]);
+    if (unknown !== undefined) {
+      throw new Error(`Unknown aggregation: ${unknown}`);
+    }
+    this.window = { mode, hop: hop || 1, duration, aggregate, timeKey };
+    // Full windows seen since the buffer filled (hop phase) and the open time slot
+    this._cadence = { pointsReceived: 0, slots: 0, windowsEvaluated: 0, full: 0 };
+    this._slot = null;
   }
 
   setThresholds(thresholds, featureNames) {
@@ -843,19 +3675,120 @@ class AnomalyMonitor extends EventEmitter {
     return this;
   }
 
+  fitEncodings(records) {
+    this.detector.fitEncodings(records);
+    return this;
+  }
+
+  fitThresholds(records, options) {
+    return this.detector.fitThresholds(records, options);
+  }
+
+  fit(records, options) {
+    return this.detector.fit(records, options);
+  }
+
+  calibrate(data, options) {
+    return this.detector.calibrate(data, options);
+  }
+
+  retrain(options) {
+    return this.detector.retrain(options);
+  }
+
+  feedback(id, label) {
+    return this.detector.feedback(id, label);
+  }
+
+  fitScoreWeights(labeledWindows, options) {
+    return this.detector.fitScoreWeights(labeledWindows, options);
+  }
+
+  learnNormal(window) {
+    this.detector.learnNormal(window);
+    return this;
+  }
+
   process(features) {
-    const isReady = this.detector.addDataPoint(features);
+    this._cadence.pointsReceived++;
+    const steps = this.window.duration ? this._resample(features) : [features];
+    const results = [];
+    for (const step of steps) {
+      if (this._advance(step)) results.push(this.detector.detect());
+    }
     this._trigger('onData', features);
-    if (isReady) {
-      const result = this.detector.detect();
+    for (const result of results) {
       if (result.isAnomaly) {
         this._trigger('onAnomaly', result, features);
       } else {
         this._trigger('onNormal', result, features);
       }
-      return result;
+      if (result.drift) {
+        this._trigger('onDrift', result.drift, features);
+      }
     }
-    return null;
+    return results.length > 0 ? results[results.length - 1] : null;
+  }
+
+  // Buffers one step; true when the window is due for detection
+  _advance(step) {
+    if (!this.detector.addDataPoint(step)) return false;
+    const hop = this.window.mode === 'tumbling' ? this.detector.snapshotLength : this.window.hop;
+    const due = this._cadence.full++ % hop === 0;
+    if (due) this._cadence.windowsEvaluated++;
+    return due;
+  }
+
+  /**
+   * Adds a reading to its time slot and returns the aggregated records of
+   * the slots it closes. Slots without readings become records with only a
+   * time (handled by the missing-value policy), at most snapshotLength per
+   * gap; they are dropped when a feature's policy would throw. Late readings
+   * join the open slot.
+   */
+  _resample(features) {
+    const { duration, timeKey } = this.window;
+    const time = toMillis(features[timeKey]);
+    if (time === null) {
+      throw new Error(`Time-based windows require '${timeKey}' on every reading`);
+    }
+    const slotLength = duration / this.detector.snapshotLength;
+    if (!this._slot) this._slot = { origin: time, index: 0, readings: [] };
+    const slot = this._slot;
+    const index = Math.max(slot.index, Math.floor((time - slot.origin) / slotLength));
+    const closed = [];
+    if (index > slot.index) {
+      closed.push(this._aggregate(slot.readings, slot.origin + slot.index * slotLength));
+      const empty = this._throwsOnMissing() ? 0 : Math.min(index - slot.index - 1, this.detector.snapshotLength);
+      for (let k = index - empty; k < index; k++) {
+        closed.push({ [timeKey]: slot.origin + k * slotLength });
+      }
+      slot.index = index;
+      slot.readings = [];
+      this._cadence.slots += closed.length;
+    }
+    slot.readings.push(features);
+    return closed;
+  }
+
+  _throwsOnMissing() {
+    const { featureNames, thresholds, missingPolicy } = this.detector;
+    return featureNames.some(key => (thresholds[key].missing || missingPolicy) === 'throw');
+  }
+
+  _aggregate(readings, time) {
+    const { aggregate, timeKey } = this.window;
+    const record = { [timeKey]: time };
+    const keys = new Set(readings.flatMap(reading => Object.keys(reading)));
+    keys.delete(timeKey);
+    for (const key of keys) {
+      const values = readings.map(reading => reading[key]).filter(v => v !== null && v !== undefined);
+      if (values.length === 0) continue;
+      const numeric = values.filter(Number.isFinite);
+      const rule = typeof aggregate === 'string' ? aggregate : aggregate[key] || 'mean';
+      record[key] = numeric.length === values.length ? AGGREGATIONS[rule](numeric) : values[values.length - 1];
+    }
+    return record;
   }
 
   on(event, callback) {
@@ -872,11 +3805,25 @@ class AnomalyMonitor extends EventEmitter {
   }
 
   getStats() {
-    return this.detector.getStats();
+    const { pointsReceived, slots, windowsEvaluated } = this._cadence;
+    const { mode, duration } = this.window;
+    return {
+      ...this.detector.getStats(),
+      windows: {
+        mode,
+        hop: mode === 'tumbling' ? this.detector.snapshotLength : this.window.hop,
+        duration,
+        pointsReceived,
+        ...(duration && { slots }),
+        windowsEvaluated
+      }
+    };
   }
 
   reset() {
     this.detector.reset();
+    this._cadence.full = 0;
+    this._slot = null;
     return this;
   }
 
@@ -885,7 +3832,7 @@ class AnomalyMonitor extends EventEmitter {
   }
 
   exportConfig() {
-    return this.detector.exportConfig();
+    return { ...this.detector.exportConfig(), window: this._windowJSON() };
   }
 
   static fromConfig(config) {
@@ -893,11 +3840,447 @@ class AnomalyMonitor extends EventEmitter {
   monitor.detector = HopfieldAnomalyDetector.fromConfig(config);
   return monitor;
   }
+
+  toBuffer(options) {
+    return this.detector._toBuffer({ ...this.detector._configJSON(), window: this._windowJSON() }, options);
+  }
+
+  /**
+   * Detector snapshot plus the window settings (in the config), the cadence
+   * phase and the open time slot (in the runtime), so a restored monitor
+   * detects on the same points as one that kept running.
+   */
+  saveState() {
+    const { config, runtime, ...snapshot } = this.detector.saveState();
+    return {
+      ...snapshot,
+      config: { ...config, window: this._windowJSON() },
+      runtime: {
+        ...runtime,
+        cadence: { ...this._cadence },
+        slot: this._slot && { ...this._slot, readings: this._slot.readings.map(r => ({ ...r })) }
+      }
+    };
+  }
+
+  static restoreState(snapshot) {
+    const { config, runtime } = HopfieldAnomalyDetector.migrateState(snapshot);
+    const monitor = AnomalyMonitor._wrap(HopfieldAnomalyDetector.restoreState(snapshot), config.window);
+    const { cadence, slot } = runtime;
+    if (cadence) monitor._cadence = { ...cadence };
+    if (slot) monitor._slot = { ...slot, readings: slot.readings.map(r => ({ ...r })) };
+    return monitor;
+  }
+
+  static fromBuffer(buf) {
+    const { config, network } = HopfieldAnomalyDetector._readBuffer(buf);
+    return AnomalyMonitor._wrap(HopfieldAnomalyDetector._restore(config, network), config.window);
+  }
+
+  _windowJSON() {
+    const { mode, hop, duration, aggregate, timeKey } = this.window;
+    return {
+      mode,
+      ...(mode === 'sliding' && { hop }),
+      duration,
+      aggregate: typeof aggregate === 'string' ? aggregate : { ...aggregate },
+      timeKey
+    };
+  }
+
+  // Monitor around a loaded detector, with its saved window settings
+  static _wrap(detector, window) {
+    const monitor = new AnomalyMonitor({ featureCount: detector.featureCount, window });
+    monitor.detector = detector;
+    return monitor;
+  }
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * Logistic regression with non-negative weights: projected batch gradient
+ * descent with an L2 penalty on the weights. Columns are scaled by their RMS
+ * while fitting (a positive rescaling keeps the sign constraint).
+ */
+function fitLogistic(X, y, { l2, iterations, learningRate, fitBias }) {
+  const n = X.length;
+  const d = X[0].length;
+  const scale = Array.from({ length: d }, (_, c) => Math.sqrt(X.reduce((sum, x) => sum + x[c] * x[c], 0) / n) || 1);
+  const w = new Array(d).fill(0);
+  let b = 0;
+  for (let iter = 0; iter < iterations; iter++) {
+    const grad = new Array(d).fill(0);
+    let gradB = 0;
+    for (let i = 0; i < n; i++) {
+      const z = b + w.reduce((sum, wc, c) => sum + wc * (X[i][c] / scale[c]), 0);
+      const err = sigmoid(z) - y[i];
+      for (let c = 0; c < d; c++) grad[c] += (err * X[i][c]) / scale[c];
+      gradB += err;
+    }
+    for (let c = 0; c < d; c++) {
+      w[c] = Math.max(0, w[c] - learningRate * (grad[c] / n + l2 * w[c]));
+    }
+    if (fitBias) b -= (learningRate * gradB) / n;
+  }
+  return { weights: w.map((wc, c) => wc / scale[c]), bias: b };
+}
+
+// Area under the ROC curve: the probability a positive outranks a negative (ties count half)
+function rocAuc(scores, labels) {
+  const order = scores.map((score, i) => i).sort((a, b) => scores[a] - scores[b]);
+  let positives = 0;
+  let rankSum = 0;
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j < order.length && scores[order[j]] === scores[order[i]]) j++;
+    const rank = (i + j + 1) / 2;
+    for (let k = i; k < j; k++) {
+      if (labels[order[k]]) {
+        positives++;
+        rankSum += rank;
+      }
+    }
+    i = j;
+  }
+  const negatives = scores.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+  return (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+// Area under the precision-recall curve as average precision over score thresholds
+function prAuc(scores, labels) {
+  const positives = labels.filter(Boolean).length;
+  if (positives === 0) return null;
+  const order = scores.map((score, i) => i).sort((a, b) => scores[b] - scores[a]);
+  let tp = 0;
+  let area = 0;
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    let hits = 0;
+    while (j < order.length && scores[order[j]] === scores[order[i]]) hits += labels[order[j++]] ? 1 : 0;
+    tp += hits;
+    area += (hits / positives) * (tp / j);
+    i = j;
+  }
+  return area;
+}
+
+function f1(precision, recall) {
+  return precision !== null && recall !== null && precision + recall > 0
+    ? (2 * precision * recall) / (precision + recall)
+    : null;
+}
+
+/**
+ * Offline evaluation: replays labeled records ({ features, isAnomaly }, in
+ * time order) through addDataPoint()/detect() on a copy of the detector, so
+ * its buffer, adaptive threshold and stats are left untouched.
+ *
+ * `level` selects what a result is scored against: 'point' (its newest
+ * record), 'window' (any record in its window) or 'event' (runs of anomalous
+ * records, detected by an alarm from their start up to `tolerance` records
+ * after their end; precision is the share of alarms that fall in an event).
+ * Reports precision, recall and F1 at the detector's own decisions, ROC-AUC
+ * and PR-AUC over anomalyScore, detection delay in records and a sweep of
+ * fixed thresholds (`thresholds`, default `steps` score quantiles).
+ */
+function evaluate(detector, labeledRecords, options = {}) {
+  const source = detector instanceof AnomalyMonitor ? detector.detector : detector;
+  const { level = 'point', steps = 20 } = options;
+  const tolerance = options.tolerance !== undefined ? options.tolerance : source.snapshotLength - 1;
+  if (!EVALUATION_LEVELS.includes(level)) {
+    throw new Error(`Unknown evaluation level: ${level}`);
+  }
+  if (!Array.isArray(labeledRecords) || labeledRecords.length === 0) {
+    throw new Error('No labeled records provided');
+  }
+  const replica = HopfieldAnomalyDetector.restoreState(source.saveState());
+  replica.reset();
+
+  // Anomalous runs over record indices
+  const events = [];
+  labeledRecords.forEach(({ isAnomaly }, i) => {
+    if (!isAnomaly) return;
+    const last = events[events.length - 1];
+    if (last && last.end === i - 1) last.end = i;
+    else events.push({ start: i, end: i });
+  });
+
+  const results = [];
+  const accepted = [];
+  labeledRecords.forEach(({ features, isAnomaly }, i) => {
+    // Skipped records (missing-value policy) never enter a window
+    const processed = replica.stats.dataPointsProcessed;
+    const ready = replica.addDataPoint(features);
+    if (replica.stats.dataPointsProcessed > processed) accepted.push(i);
+    if (!ready) return;
+    const result = replica.detect();
+    const window = accepted.slice(-replica.snapshotLength);
+    let label = Boolean(isAnomaly);
+    if (level === 'window') label = window.some(k => labeledRecords[k].isAnomaly);
+    if (level === 'event') label = events.some(e => i >= e.start && i <= e.end + tolerance);
+    results.push({ index: i, score: result.anomalyScore, alarm: result.isAnomaly, label });
+  });
+  if (results.length === 0) {
+    throw new Error('No windows were scored; provide at least snapshotLength records');
+  }
+
+  const score = alarms => {
+    if (level === 'event') {
+      const detected = events
+        .filter(e => results.some((r, k) => alarms[k] && r.index >= e.start && r.index <= e.end + tolerance))
+        .length;
+      const raised = alarms.filter(Boolean).length;
+      const inEvents = results.filter((r, k) => alarms[k] && r.label).length;
+      const precision = raised > 0 ? inEvents / raised : null;
+      const recall = events.length > 0 ? detected / events.length : null;
+      return { precision, recall, f1: f1(precision, recall), alarms: raised, falseAlarms: raised - inEvents, detected };
+    }
+    const confusion = { tp: 0, fp: 0, fn: 0, tn: 0 };
+    results.forEach((r, k) => confusion[(alarms[k] === r.label ? 't' : 'f') + (alarms[k] ? 'p' : 'n')]++);
+    const { tp, fp, fn, tn } = confusion;
+    const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+    return { precision, recall, f1: f1(precision, recall), falsePositiveRate: fp + tn > 0 ? fp / (fp + tn) : null, confusion };
+  };
+
+  const scores = results.map(r => r.score);
+  const labels = results.map(r => r.label);
+  const actual = score(results.map(r => r.alarm));
+
+  // Records from an event's start to its first alarm
+  const delays = events
+    .map(e => results.find(r => r.alarm && r.index >= e.start && r.index <= e.end + tolerance))
+    .map((hit, k) => (hit ? hit.index - events[k].start : null))
+    .filter(d => d !== null)
+    .sort((a, b) => a - b);
+
+  const sorted = [...scores].sort((a, b) => a - b);
+  const thresholds = options.thresholds ||
+    [...new Set(Array.from({ length: steps }, (_, k) => sorted[Math.floor((k / steps) * sorted.length)]))];
+  const sweep = thresholds.map(threshold => ({ threshold, ...score(scores.map(v => v > threshold)) }));
+
+  return {
+    level,
+    records: labeledRecords.length,
+    windows: results.length,
+    positives: labels.filter(Boolean).length,
+    ...actual,
+    rocAuc: rocAuc(scores, labels),
+    prAuc: prAuc(scores, labels),
+    delay: {
+      events: events.length,
+      detected: delays.length,
+      mean: delays.length > 0 ? delays.reduce((sum, d) => sum + d, 0) / delays.length : null,
+      median: delays.length > 0 ? delays[Math.floor(delays.length / 2)] : null,
+      max: delays.length > 0 ? delays[delays.length - 1] : null
+    },
+    sweep
+  };
+}
+
+// Same LCG as HopfieldNetwork#_random, so a search is reproducible from its seed
+function lcg(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function searchSpaceError(key, space, strategy) {
+  if (!TUNING_PARAMETERS.includes(key)) return `Unknown search parameter: ${key}`;
+  if (Array.isArray(space)) return space.length === 0 ? `Search space for '${key}' is empty` : null;
+  if (strategy === 'grid') return `Grid search needs a list of values for '${key}'`;
+  if (!space || !Number.isFinite(space.min) || !Number.isFinite(space.max) || space.min > space.max) {
+    return `Search space for '${key}' must be a list of values or a { min, max } range`;
+  }
+  if (space.log && space.min <= 0) return `Log-scale range for '${key}' must be positive`;
+  return null;
+}
+
+function sampleParameter(space, random) {
+  if (Array.isArray(space)) return space[Math.floor(random() * space.length)];
+  const { min, max, integer = false, log = false } = space;
+  const u = random();
+  if (log) {
+    const value = Math.exp(Math.log(min) + u * (Math.log(max) - Math.log(min)));
+    return integer ? Math.round(value) : value;
+  }
+  return integer ? min + Math.floor(u * (max - min + 1)) : min + u * (max - min);
+}
+
+// Grid: every combination in key order. Random: `trials` seeded draws.
+function searchCandidates(searchSpace, strategy, trials, random) {
+  const keys = Object.keys(searchSpace);
+  if (strategy === 'grid') {
+    return keys.reduce(
+      (grid, key) => grid.flatMap(params => searchSpace[key].map(value => ({ ...params, [key]: value }))),
+      [{}]
+    );
+  }
+  return Array.from({ length: trials }, () => Object.fromEntries(keys.map(key => [key, sampleParameter(searchSpace[key], random)])));
+}
+
+/**
+ * Hyperparameter search over detector configurations. `searchSpace` maps
+ * constructor options, fit() options and `thresholdPercentile` (sets
+ * anomalyThreshold to that percentile of training scores) to a list of
+ * values or, for random search, a { min, max, integer, log } range.
+ *
+ * Each candidate is scored by time-ordered cross-validation: the records are
+ * cut into `folds + 1` blocks and fold k fits on the normal-labeled records
+ * of blocks 0..k-1 and is evaluated (see evaluate()) on block k. Networks
+ * too small to store a pattern are rejected and fit() keeps prototypes
+ * within estimateCapacity(). Candidates are built from `config`,
+ * `thresholds` (fitted per fold with fitThresholds() when omitted, on
+ * `featureNames` or the record keys other than `timeKey`) and the
+ * search `seed`, so a search is reproducible. Resolves to a leaderboard
+ * ranked by the mean fold `metric` and the best candidate refit on all
+ * normal records as an exported config. Yields between trials; aborting
+ * `signal` stops the search and resolves with the trials completed so far.
+ */
+async function tune(records, labels, searchSpace, options = {}) {
+  const {
+    strategy = 'grid', trials = 20, seed = 1, folds = 3, metric = 'f1', level = 'point', tolerance,
+    config = {}, thresholds = null, featureNames = null, timeKey = 'timestamp', calibrate = false,
+    signal = null, onTrial = null
+  } = options;
+  if (!SEARCH_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown search strategy: ${strategy}`);
+  }
+  if (!TUNING_METRICS.includes(metric)) {
+    throw new Error(`Unknown tuning metric: ${metric}`);
+  }
+  if (!Number.isInteger(seed) || seed <= 0) {
+    throw new Error('seed must be a positive integer');
+  }
+  if (!Number.isInteger(folds) || folds < 1) {
+    throw new Error('folds must be a positive integer');
+  }
+  if (strategy === 'random' && (!Number.isInteger(trials) || trials < 1)) {
+    throw new Error('trials must be a positive integer');
+  }
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new Error('No records provided');
+  }
+  if (!Array.isArray(labels) || labels.length !== records.length) {
+    throw new Error('labels must have one entry per record');
+  }
+  if (!searchSpace || typeof searchSpace !== 'object') {
+    throw new Error('searchSpace must be an object');
+  }
+  Object.keys(searchSpace).forEach(key => {
+    const error = searchSpaceError(key, searchSpace[key], strategy);
+    if (error) throw new Error(error);
+  });
+
+  const labeled = records.map((features, i) => ({ features, isAnomaly: Boolean(labels[i]) }));
+  const normal = items => items.filter(item => !item.isAnomaly).map(item => item.features);
+  // Without names or thresholds, every key of the first record except the time key is a feature
+  const names = featureNames || Object.keys(thresholds || records[0]).filter(key => key !== timeKey);
+  const featureCount = config.featureCount || names.length;
+
+  // Builds and fits a candidate on normal records
+  const build = (params, training) => {
+    const detectorParams = {};
+    const fitOptions = {};
+    Object.entries(params).forEach(([key, value]) => {
+      if (FIT_PARAMETERS.includes(key)) fitOptions[key] = value;
+      else if (key !== 'thresholdPercentile') detectorParams[key] = value;
+    });
+    const detector = new HopfieldAnomalyDetector({ seed, ...config, featureCount, ...detectorParams });
+    if (thresholds) detector.setThresholds(thresholds, featureNames);
+    else detector.fitThresholds(training, { featureNames: names });
+    if (detector.network.estimateCapacity() < 1) {
+      throw new Error(`Network of ${detector.patternSize} neurons cannot store a pattern`);
+    }
+    const report = detector.fit(training, fitOptions);
+    if (calibrate) detector.calibrate(training, calibrate === true ? {} : calibrate);
+    if (params.thresholdPercentile !== undefined) {
+      const replica = HopfieldAnomalyDetector.restoreState(detector.saveState());
+      replica.reset();
+      const scores = [];
+      training.forEach(features => {
+        if (replica.addDataPoint(features)) scores.push(replica.detect().anomalyScore);
+      });
+      scores.sort((a, b) => a - b);
+      const threshold = scores[Math.min(scores.length - 1, Math.floor((params.thresholdPercentile / 100) * scores.length))];
+      detector.anomalyThreshold = threshold;
+      if (detector.useAdaptiveThreshold) detector.adaptiveThreshold.threshold = threshold;
+    }
+    return { detector, report };
+  };
+
+  const blockSize = Math.floor(records.length / (folds + 1));
+  const splits = Array.from({ length: folds }, (_, k) => ({
+    train: labeled.slice(0, (k + 1) * blockSize),
+    test: labeled.slice((k + 1) * blockSize, k === folds - 1 ? labeled.length : (k + 2) * blockSize)
+  }));
+
+  const candidates = searchCandidates(searchSpace, strategy, trials, lcg(seed));
+  const results = [];
+  let cancelled = false;
+  for (let trial = 0; trial < candidates.length; trial++) {
+    await new Promise(resolve => setImmediate(resolve));
+    if (signal && signal.aborted) {
+      cancelled = true;
+      break;
+    }
+    const params = candidates[trial];
+    const entry = { trial, params, score: null, folds: [] };
+    try {
+      for (const { train, test } of splits) {
+        const { detector, report } = build(params, normal(train));
+        const evaluation = evaluate(detector, test, { level, tolerance });
+        entry.folds.push({
+          train: train.length,
+          test: test.length,
+          prototypes: report.prototypes,
+          capacity: report.capacity,
+          precision: evaluation.precision,
+          recall: evaluation.recall,
+          f1: evaluation.f1,
+          rocAuc: evaluation.rocAuc,
+          prAuc: evaluation.prAuc
+        });
+      }
+      const values = entry.folds.map(fold => fold[metric]).filter(value => value !== null);
+      entry.score = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    } catch (err) {
+      entry.error = err.message;
+    }
+    results.push(entry);
+    if (onTrial) onTrial(entry, { completed: results.length, total: candidates.length });
+  }
+
+  // Best mean score first; unscored candidates last, ties in trial order
+  const leaderboard = [...results]
+    .sort((a, b) => (a.score === null) - (b.score === null) || (b.score || 0) - (a.score || 0))
+    .map((entry, i) => ({ rank: i + 1, ...entry }));
+  const best = leaderboard.length > 0 && leaderboard[0].score !== null ? leaderboard[0] : null;
+  return {
+    strategy,
+    seed,
+    metric,
+    trials: results.length,
+    cancelled,
+    leaderboard,
+    best,
+    config: best ? build(best.params, normal(labeled)).detector.exportConfig() : null
+  };
 }
 
 export {
+  FeatureEncoder,
   HopfieldNetwork,
   HopfieldAnomalyDetector,
   AnomalyMonitor,
-  AdaptiveThreshold
+  AdaptiveThreshold,
+  DriftMonitor,
+  evaluate,
+  tune
 };
\ No newline at end of file
@@ -1,8 +1,12 @@
 import {
+  FeatureEncoder,
   HopfieldNetwork,
   HopfieldAnomalyDetector,
   AnomalyMonitor,
-  AdaptiveThreshold
+  AdaptiveThreshold,
+  DriftMonitor,
+  evaluate,
+  tune
 } from '../src/index.js';
 
 describe('Library Exports', () => {
@@ -11,6 +15,10 @@ describe('Library Exports', () => {
     expect(HopfieldAnomalyDetector).toBeDefined();
     expect(AnomalyMonitor).toBeDefined();
     expect(AdaptiveThreshold).toBeDefined();
+    expect(FeatureEncoder).toBeDefined();
+    expect(DriftMonitor).toBeDefined();
+    expect(evaluate).toBeInstanceOf(Function);
+    expect(tune).toBeInstanceOf(Function);
   });
 });
 
@@ -143,6 +151,7 @@ describe('HopfieldNetwork - Edge Cases', () => {
   test('throws error for unknown learning rule', () => {
     const net = new HopfieldNetwork(10, { learningRule: 'invalid' });
     expect(() => net.train([[1, -1, 1, -1, 1, -1, 1, -1, 1, -1]])).toThrow('Unknown learning rule: invalid');
+    expect(() => net.addPattern([1, -1, 1, -1, 1, -1, 1, -1, 1, -1])).toThrow('Unknown learning rule: invalid');
   });
 
   test('throws error when recall before training', () => {
@@ -171,6 +180,515 @@ describe('HopfieldNetwork - Edge Cases', () => {
   });
 });
 
+describe('HopfieldNetwork - Dense Associative Memory', () => {
+  const randomPatterns = (count, size, seed) => {
+    let state = seed;
+    const rand = () => {
+      state = (state * 1664525 + 1013904223) % 2147483648;
+      return state / 2147483648;
+    };
+    return Array.from({ length: count }, () =>
+      Array.from({ length: size }, () => (rand() > 0.5 ? 1 : -1))
+    );
+  };
+
+  test('stores far more patterns than Hebbian as fixed points', () => {
+    const patterns = randomPatterns(40, 60, 7);
+    const net = new HopfieldNetwork(60, { learningRule: 'dense', degree: 3, seed: 1 });
+    net.train(patterns);
+
+    expect(net.estimateCapacity()).toBeGreaterThan(40);
+    for (const p of patterns) {
+      const result = net.recall(p);
+      expect(result.state).toEqual(p);
+      expect(result.converged).toBe(true);
+    }
+  });
+
+  test('exponential interaction repairs corrupted patterns with non-increasing energy', () => {
+    const patterns = randomPatterns(20, 40, 3);
+    const net = new HopfieldNetwork(40, { learningRule: 'dense', interaction: 'exponential', seed: 1 });
+    net.train(patterns);
+
+    const noisy = [...patterns[5]];
+    noisy[0] *= -1;
+    noisy[7] *= -1;
+    const result = net.recall(noisy);
+    expect(result.state).toEqual(patterns[5]);
+    for (let i = 1; i < result.energyPath.length; i++) {
+      expect(result.energyPath[i]).toBeLessThanOrEqual(result.energyPath[i - 1]);
+    }
+  });
+
+  test('local fields match half the single-flip energy difference', () => {
+    const patterns = randomPatterns(5, 12, 11);
+    const net = new HopfieldNetwork(12, { learningRule: 'dense', degree: 4 });
+    net.train(patterns);
+
+    const state = randomPatterns(1, 12, 99)[0];
+    const h = net.localFields(state);
+    for (let i = 0; i < 12; i++) {
+      const plus = [...state];
+      const minus = [...state];
+      plus[i] = 1;
+      minus[i] = -1;
+      expect(h[i]).toBeCloseTo((net.energy(minus) - net.energy(plus)) / 2, 8);
+    }
+  });
+
+  test('capacity grows with interaction degree', () => {
+    const cubic = new HopfieldNetwork(100, { learningRule: 'dense', degree: 3 });
+    const quartic = new HopfieldNetwork(100, { learningRule: 'dense', degree: 4 });
+    const storkey = new HopfieldNetwork(100, { learningRule: 'storkey' });
+
+    expect(cubic.estimateCapacity()).toBeGreaterThan(storkey.estimateCapacity());
+    expect(quartic.estimateCapacity()).toBeGreaterThan(cubic.estimateCapacity());
+  });
+
+  test('throws for invalid dense options', () => {
+    expect(() => new HopfieldNetwork(10, { learningRule: 'dense', interaction: 'cosine' }))
+      .toThrow('Unknown interaction: cosine');
+    expect(() => new HopfieldNetwork(10, { learningRule: 'dense', degree: 1 }))
+      .toThrow('Interaction degree must be an integer >= 2');
+  });
+
+  test('JSON serialization roundtrip preserves stored patterns', () => {
+    const patterns = randomPatterns(6, 16, 5);
+    const net = new HopfieldNetwork(16, { learningRule: 'dense', interaction: 'exponential', beta: 0.5, seed: 3 });
+    net.train(patterns);
+
+    const restored = HopfieldNetwork.fromJSON(JSON.parse(JSON.stringify(net.toJSON())));
+    expect(restored.interaction).toBe('exponential');
+    expect(restored.beta).toBe(0.5);
+    expect(restored.energy(patterns[2])).toBeCloseTo(net.energy(patterns[2]), 10);
+  });
+
+  test('detector scores and exports with a dense network', () => {
+    const detector = new HopfieldAnomalyDetector({
+      featureCount: 3,
+      snapshotLength: 4,
+      learningRule: 'dense',
+      degree: 3,
+      seed: 12345
+    });
+    detector.setThresholds({
+      a: { mode: 'above', value: 0.5 },
+      b: { mode: 'above', value: 0.5 },
+      c: { mode: 'above', value: 0.5 }
+    });
+    detector.train({ patterns: randomPatterns(30, 12, 21) });
+    for (let i = 0; i < 4; i++) detector.addDataPoint({ a: 1, b: 0, c: i % 2 });
+
+    const result = detector.detect();
+    expect(Number.isFinite(result.anomalyScore)).toBe(true);
+    expect(Number.isFinite(result.metrics.margin)).toBe(true);
+    expect(result.featureImpact.length).toBe(3);
+
+    const restored = HopfieldAnomalyDetector.fromConfig(detector.exportConfig());
+    expect(restored.network.learningRule).toBe('dense');
+    expect(restored.network.patterns.length).toBe(30);
+  });
+});
+
+describe('HopfieldNetwork - Pseudo-inverse Rule', () => {
+  // Mostly -1 with a few flipped bits: the correlated regime that collapses Hebbian capacity
+  const sparsePatterns = (count, size) => Array.from({ length: count }, (_, k) => {
+    const p = Array(size).fill(-1);
+    p[k % size] = 1;
+    p[(k * 7 + 3) % size] = 1;
+    p[(k * 13 + 5) % size] = 1;
+    return p;
+  });
+
+  test('every stored correlated pattern is a fixed point', () => {
+    const patterns = sparsePatterns(30, 60);
+    const net = new HopfieldNetwork(60, { learningRule: 'pseudoinverse', seed: 1 });
+    net.train(patterns);
+
+    for (const p of patterns) {
+      const result = net.recall(p);
+      expect(result.state).toEqual(p);
+      expect(result.iterations).toBe(1);
+    }
+  });
+
+  test('stored patterns stay fixed points near P = N', () => {
+    // N independent patterns: the projection is the identity and W = 0
+    const hadamard = [[1, 1, 1, 1], [1, -1, 1, -1], [1, 1, -1, -1], [1, -1, -1, 1]];
+    const full = new HopfieldNetwork(4, { learningRule: 'pseudoinverse', seed: 1 });
+    full.train(hadamard);
+    expect(full.estimateCapacity()).toBe(4);
+    hadamard.forEach(p => expect(full.recall(p).state).toEqual(p));
+
+    const patterns = sparsePatterns(19, 20);
+    const net = new HopfieldNetwork(20, { learningRule: 'pseudoinverse', seed: 1 });
+    net.train(patterns);
+    patterns.forEach(p => expect(net.recall(p)).toMatchObject({ state: p, iterations: 1 }));
+
+    // Self-coupling only breaks zero-field ties: energy still never rises
+    const noisy = patterns[0].map((v, i) => (i % 5 === 0 ? -v : v));
+    const { energyPath } = net.recall(noisy, 20);
+    energyPath.slice(1).forEach((e, k) => expect(e).toBeLessThanOrEqual(energyPath[k] + 1e-9));
+  });
+
+  test('correlation does not reduce capacity', () => {
+    const patterns = sparsePatterns(30, 60);
+    const pinv = new HopfieldNetwork(60, { learningRule: 'pseudoinverse' });
+    const storkey = new HopfieldNetwork(60, { learningRule: 'storkey' });
+
+    expect(pinv.estimateCapacity()).toBe(60);
+    expect(pinv.estimateCapacity(patterns)).toBe(60);
+    expect(storkey.estimateCapacity(patterns)).toBeLessThan(patterns.length);
+  });
+
+  test('weights are symmetric and tolerate duplicate patterns', () => {
+    const patterns = sparsePatterns(5, 20);
+    patterns.push([...patterns[0]]);
+    const net = new HopfieldNetwork(20, { learningRule: 'pseudoinverse', seed: 1 });
+    net.train(patterns);
+
+    for (let i = 0; i < 20; i++) {
+      expect(net._getWeight(i, i)).toBe(0);
+      for (let j = 0; j < 20; j++) {
+        expect(net._getWeight(i, j)).toBeCloseTo(net._getWeight(j, i), 12);
+      }
+    }
+    expect(net.recall(patterns[0]).state).toEqual(patterns[0]);
+  });
+
+  test('JSON serialization roundtrip', () => {
+    const net = new HopfieldNetwork(20, { learningRule: 'pseudoinverse', seed: 1 });
+    net.train(sparsePatterns(6, 20));
+
+    const restored = HopfieldNetwork.fromJSON(JSON.parse(JSON.stringify(net.toJSON())));
+    expect(restored.learningRule).toBe('pseudoinverse');
+    expect(Array.from(restored.weights)).toEqual(Array.from(net.weights));
+  });
+});
+
+describe('HopfieldNetwork - Incremental Learning', () => {
+  const patterns = [
+    [1, 1, 1, -1, -1, -1, 1, -1, 1, -1, -1, 1],
+    [-1, 1, -1, 1, -1, 1, -1, 1, -1, 1, 1, -1],
+    [1, -1, -1, -1, 1, 1, 1, -1, -1, 1, -1, -1]
+  ];
+  const weightsOf = net => Array.from(net.weights);
+
+  test.each(['hebbian', 'storkey', 'pseudoinverse'])('addPattern matches batch training (%s)', rule => {
+    const batch = new HopfieldNetwork(12, { learningRule: rule });
+    batch.train(patterns);
+    const incremental = new HopfieldNetwork(12, { learningRule: rule });
+    incremental.train(patterns.slice(0, 2));
+    incremental.addPattern(patterns[2]);
+
+    const expected = weightsOf(batch);
+    weightsOf(incremental).forEach((w, k) => expect(w).toBeCloseTo(expected[k], 10));
+    expect(incremental.patterns.length).toBe(3);
+  });
+
+  test('removePattern exactly unlearns Hebbian patterns', () => {
+    const net = new HopfieldNetwork(12);
+    net.train(patterns.slice(0, 2));
+    const before = weightsOf(net);
+    net.addPattern(patterns[2]);
+    net.removePattern(patterns[2]);
+
+    weightsOf(net).forEach((w, k) => expect(w).toBeCloseTo(before[k], 12));
+    expect(net.patterns.length).toBe(2);
+  });
+
+  test('removePattern rebuilds the pseudo-inverse projection', () => {
+    const net = new HopfieldNetwork(12, { learningRule: 'pseudoinverse' });
+    net.train(patterns);
+    net.removePattern(patterns[0]);
+    const retrained = new HopfieldNetwork(12, { learningRule: 'pseudoinverse' });
+    retrained.train(patterns.slice(1));
+
+    const expected = weightsOf(retrained);
+    weightsOf(net).forEach((w, k) => expect(w).toBeCloseTo(expected[k], 10));
+  });
+
+  test('removePattern exactly unlearns Storkey patterns', () => {
+    const net = new HopfieldNetwork(12, { learningRule: 'storkey' });
+    net.train(patterns.slice(0, 2));
+    const before = weightsOf(net);
+    net.addPattern(patterns[2]);
+    net.removePattern(patterns[2]);
+    weightsOf(net).forEach((w, k) => expect(w).toBeCloseTo(before[k], 12));
+
+    // Removing an earlier pattern leaves the later ones as if it was never stored
+    net.addPattern(patterns[2]);
+    net.removePattern(patterns[0]);
+    const retrained = new HopfieldNetwork(12, { learningRule: 'storkey' });
+    retrained.train(patterns.slice(1));
+    const expected = weightsOf(retrained);
+    weightsOf(net).forEach((w, k) => expect(w).toBeCloseTo(expected[k], 12));
+  });
+
+  test('dense networks add and forget stored patterns', () => {
+    const net = new HopfieldNetwork(12, { learningRule: 'dense' });
+    net.addPattern(patterns[0]);
+    expect(net.trained).toBe(true);
+    net.addPattern(patterns[1]);
+    net.removePattern(patterns[0]);
+    expect(net.patterns.map(p => Array.from(p))).toEqual([patterns[1]]);
+  });
+
+  test('removePattern throws for patterns that are not stored', () => {
+    const net = new HopfieldNetwork(12);
+    net.train(patterns.slice(0, 1));
+    expect(() => net.removePattern(patterns[1])).toThrow('Pattern is not stored in the network');
+  });
+
+  test('capacity check counts previously stored patterns', () => {
+    const net = new HopfieldNetwork(10, { strictCapacity: true });
+    net.train([[1, -1, 1, -1, 1, -1, 1, -1, 1, -1]]);
+    expect(() => net.addPattern([1, 1, 1, 1, 1, -1, -1, -1, -1, -1])).toThrow(/exceeds estimated capacity/);
+    expect(net.patterns.length).toBe(1);
+  });
+
+  test('stored patterns survive JSON serialization', () => {
+    const net = new HopfieldNetwork(12, { learningRule: 'pseudoinverse' });
+    net.train(patterns.slice(0, 2));
+    const restored = HopfieldNetwork.fromJSON(JSON.parse(JSON.stringify(net.toJSON())));
+    restored.addPattern(patterns[2]);
+    net.addPattern(patterns[2]);
+
+    expect(restored.patterns.length).toBe(3);
+    const expected = weightsOf(net);
+    weightsOf(restored).forEach((w, k) => expect(w).toBeCloseTo(expected[k], 12));
+  });
+});
+
+describe('HopfieldNetwork - Stochastic Recall', () => {
+  const pattern = [1, 1, 1, 1, 1, -1, -1, -1, -1, -1];
+  const input = [1, -1, 1, -1, 1, -1, 1, -1, 1, -1];
+
+  test('is reproducible for the same seed', () => {
+    const run = () => {
+      const net = new HopfieldNetwork(10, { seed: 42, temperature: 2, annealingSchedule: 'geometric' });
+      net.train([pattern]);
+      return net.recall(input, 8);
+    };
+    expect(run()).toEqual(run());
+  });
+
+  test('linear schedule anneals from temperature to minTemperature', () => {
+    const net = new HopfieldNetwork(10, { seed: 1, temperature: 10, minTemperature: 0.1, annealingSchedule: 'linear' });
+    net.train([pattern]);
+    const result = net.recall(input, 5);
+
+    expect(result.iterations).toBe(5);
+    expect(result.temperatureSchedule[0]).toBe(10);
+    expect(result.temperatureSchedule[4]).toBeCloseTo(0.1, 10);
+    expect(result.acceptance.proposals).toBe(50);
+    expect(result.acceptance.rate).toBeGreaterThan(0);
+  });
+
+  test('geometric and custom schedules', () => {
+    const net = new HopfieldNetwork(10, { seed: 1 });
+    net.train([pattern]);
+
+    const geometric = net.recall(input, 3, { temperature: 100, annealingSchedule: 'geometric', coolingRate: 0.5 });
+    expect(geometric.temperatureSchedule.slice(0, 2)).toEqual([100, 50]);
+
+    const custom = net.recall(input, 3, { temperature: 4, annealingSchedule: (iter, T0) => T0 / (iter + 1) });
+    expect(custom.temperatureSchedule.slice(0, 2)).toEqual([4, 2]);
+  });
+
+  test('high temperature accepts uphill moves', () => {
+    const net = new HopfieldNetwork(10, { seed: 7 });
+    net.train([pattern]);
+    const result = net.recall(pattern, 5, { temperature: 50 });
+    expect(result.acceptance.uphill).toBeGreaterThan(0);
+  });
+
+  test('zero temperature keeps deterministic recall', () => {
+    const net = new HopfieldNetwork(10, { seed: 12345 });
+    net.train([pattern]);
+    const result = net.recall(pattern);
+    expect(result.temperatureSchedule).toBeUndefined();
+    expect(result.iterations).toBe(1);
+  });
+
+  test('throws for invalid annealing options', () => {
+    expect(() => new HopfieldNetwork(10, { annealingSchedule: 'cosine' })).toThrow('Unknown annealing schedule: cosine');
+    expect(() => new HopfieldNetwork(10, { temperature: -1 })).toThrow('temperature must be a non-negative number');
+    expect(() => new HopfieldNetwork(10, { coolingRate: 1.5 })).toThrow('coolingRate must be in (0, 1]');
+  });
+
+  test('custom schedules must be re-attached after deserialization', () => {
+    const net = new HopfieldNetwork(10, { seed: 1, temperature: 1, annealingSchedule: iter => 1 / (iter + 1) });
+    net.train([pattern]);
+    const restored = HopfieldNetwork.fromJSON(net.toJSON());
+    expect(restored.annealingSchedule).toBe('custom');
+    expect(() => restored.recall(input)).toThrow('Custom annealing schedule must be re-attached after deserialization');
+  });
+
+  test('detector reports the schedule and acceptance in convergence', () => {
+    const detector = new HopfieldAnomalyDetector({
+      featureCount: 2,
+      snapshotLength: 3,
+      temperature: 1,
+      annealingSchedule: 'geometric',
+      coolingRate: 0.5,
+      seed: 12345
+    });
+    detector.setThresholds({ a: { mode: 'above', value: 0.5 }, b: { mode: 'above', value: 0.5 } });
+    detector.trainWithDefaults();
+    for (let i = 0; i < 3; i++) detector.addDataPoint({ a: i % 2, b: 0 });
+
+    const { convergence } = detector.detect();
+    expect(convergence.temperatureSchedule[0]).toBe(1);
+    expect(convergence.acceptance).toEqual(expect.objectContaining({
+      proposals: expect.any(Number),
+      flips: expect.any(Number),
+      rate: expect.any(Number),
+      finalRate: expect.any(Number)
+    }));
+    expect(detector.exportConfig().network.annealingSchedule).toBe('geometric');
+  });
+});
+
+describe('HopfieldNetwork - Update Modes', () => {
+  const pattern = [1, 1, 1, 1, 1, -1, -1, -1, -1, -1];
+  const input = [1, -1, 1, -1, 1, -1, 1, -1, 1, -1];
+
+  test('sequential and synchronous modes do not depend on the RNG', () => {
+    for (const updateMode of ['sequential', 'synchronous']) {
+      const a = new HopfieldNetwork(10, { seed: 1, updateMode });
+      const b = new HopfieldNetwork(10, { seed: 999, updateMode });
+      a.train([pattern]);
+      b.train([pattern]);
+      expect(a.recall(input)).toEqual(b.recall(input));
+      expect(a.recall(input).updateMode).toBe(updateMode);
+    }
+  });
+
+  test('synchronous mode detects and reports 2-cycles', () => {
+    const net = new HopfieldNetwork(2, { updateMode: 'synchronous' });
+    net.train([[1, 1]]);
+    const result = net.recall([1, -1], 10);
+
+    expect(result.converged).toBe(false);
+    expect(result.oscillation).toEqual({ period: 2, detectedAt: 2 });
+    expect(result.iterations).toBe(2);
+  });
+
+  test('asynchronous mode converges where synchronous oscillates', () => {
+    const net = new HopfieldNetwork(2, { seed: 3 });
+    net.train([[1, 1]]);
+    const result = net.recall([1, -1], 10);
+    expect(result.converged).toBe(true);
+    expect(result.oscillation).toBeNull();
+  });
+
+  test('block mode recalls stored patterns', () => {
+    const net = new HopfieldNetwork(10, { updateMode: 'block', blockSize: 5 });
+    net.train([pattern]);
+    const result = net.recall([1, 1, 1, -1, 1, -1, -1, 1, -1, -1]);
+    expect(result.state).toEqual(pattern);
+    expect(result.updateMode).toBe('block');
+  });
+
+  test('recall options override the network mode', () => {
+    const net = new HopfieldNetwork(10, { seed: 1 });
+    net.train([pattern]);
+    expect(net.recall(input, 10, { updateMode: 'sequential' }).updateMode).toBe('sequential');
+  });
+
+  test('throws for invalid update modes', () => {
+    expect(() => new HopfieldNetwork(10, { updateMode: 'random' })).toThrow('Unknown update mode: random');
+    expect(() => new HopfieldNetwork(10, { updateMode: 'block' }))
+      .toThrow('Block update mode requires a positive integer blockSize');
+  });
+
+  test('update mode is persisted by toJSON', () => {
+    const net = new HopfieldNetwork(10, { updateMode: 'block', blockSize: 2 });
+    net.train([pattern]);
+    const restored = HopfieldNetwork.fromJSON(JSON.parse(JSON.stringify(net.toJSON())));
+    expect(restored.updateMode).toBe('block');
+    expect(restored.blockSize).toBe(2);
+  });
+
+  test('blocks partition the neurons and are persisted', () => {
+    const net = new HopfieldNetwork(6, { updateMode: 'block', blocks: [[0, 2, 4], [1, 3, 5]] });
+    net.train([[1, -1, 1, -1, 1, -1]]);
+    expect(net.recall([1, -1, 1, 1, -1, -1]).state).toEqual([1, -1, 1, -1, 1, -1]);
+    expect(HopfieldNetwork.fromJSON(net.toJSON()).blocks).toEqual([[0, 2, 4], [1, 3, 5]]);
+    expect(() => new HopfieldNetwork(4, { updateMode: 'block', blocks: [[0, 1], [1, 2, 3]] }))
+      .toThrow('blocks must partition the neurons 0..3');
+    expect(() => new HopfieldNetwork(4, { updateMode: 'block', blocks: [[0, 1]] }))
+      .toThrow('blocks must partition the neurons 0..3');
+  });
+
+  test('detector blocks default to one group per feature and are reported', () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 2, snapshotLength: 3, updateMode: 'block' });
+    detector.setThresholds({ t: { mode: 'thermometer', edges: [10, 20] }, b: { mode: 'above', value: 0.5 } });
+    // Time-major layout: each step holds t's two neurons, then b's
+    const owner = i => ['t', 't', 'b'][i % 3];
+    expect(detector.network.blocks).toEqual([[0, 1, 3, 4, 6, 7], [2, 5, 8]]);
+    expect(detector.network.blocks.map(block => [...new Set(block.map(owner))])).toEqual([['t'], ['b']]);
+    detector.trainWithDefaults();
+    for (let i = 0; i < 3; i++) detector.addDataPoint({ t: 15, b: 0 });
+
+    expect(detector.network.blockSize).toBeNull();
+    const { convergence } = detector.detect();
+    expect(convergence.updateMode).toBe('block');
+    expect(convergence.oscillation).toBeNull();
+  });
+});
+
+describe('HopfieldNetwork - Cached Local Fields', () => {
+  const patterns = [
+    [1, 1, 1, -1, -1, -1, 1, -1, 1, -1, -1, 1],
+    [-1, 1, -1, 1, -1, 1, -1, 1, -1, 1, 1, -1]
+  ];
+  const input = [1, -1, 1, 1, -1, -1, -1, 1, 1, -1, 1, 1];
+
+  test.each(['async', 'sequential', 'block', 'synchronous'])('tracked energy matches recomputed energy (%s)', updateMode => {
+    const net = new HopfieldNetwork(12, { learningRule: 'storkey', updateMode, blockSize: 4, seed: 5 });
+    net.train(patterns);
+    const result = net.recall(input);
+
+    expect(result.energyPath[0]).toBeCloseTo(net.energy(input), 10);
+    expect(result.energyPath[result.energyPath.length - 1]).toBeCloseTo(net.energy(result.state), 10);
+  });
+
+  test('returns input and final fields equal to localFields()', () => {
+    const net = new HopfieldNetwork(12, { seed: 5 });
+    net.train(patterns);
+    const result = net.recall(input);
+
+    const expectedInput = Array.from(net.localFields(input));
+    const expectedFinal = Array.from(net.localFields(result.state));
+    Array.from(result.inputFields).forEach((h, i) => expect(h).toBeCloseTo(expectedInput[i], 10));
+    Array.from(result.fields).forEach((h, i) => expect(h).toBeCloseTo(expectedFinal[i], 10));
+  });
+
+  test('accepts precomputed fields without changing the result', () => {
+    const net = new HopfieldNetwork(12, { updateMode: 'sequential' });
+    net.train(patterns);
+    const fields = net.localFields(input);
+
+    expect(net.recall(input, 10, { fields }).state).toEqual(net.recall(input).state);
+    expect(Array.from(fields)).toEqual(Array.from(net.localFields(input)));
+  });
+
+  test('flipEnergyDeltas with cached fields matches brute-force block flips', () => {
+    const net = new HopfieldNetwork(12, { learningRule: 'storkey' });
+    net.train(patterns);
+    const blocks = [[0, 1, 2], [3, 4, 5, 6], [7, 8, 9, 10, 11]];
+    const deltas = net.flipEnergyDeltas(input, blocks, net.localFields(input));
+
+    blocks.forEach((block, b) => {
+      const flipped = [...input];
+      block.forEach(i => { flipped[i] *= -1; });
+      expect(deltas[b]).toBeCloseTo(net.energy(flipped) - net.energy(input), 10);
+    });
+  });
+});
+
 describe('HopfieldAnomalyDetector', () => {
   test('creates detector with correct parameters', () => {
     const detector = new HopfieldAnomalyDetector({
@@ -227,104 +745,1460 @@ describe('HopfieldAnomalyDetector', () => {
     for (let i = 0; i < 5; i++) {
       detector.addDataPoint({ temp: 70, pressure: 100, vibration: 20 });
     }
-    
-    const result = detector.detect();
-    expect(result).toBeDefined();
-    expect(typeof result.anomalyScore).toBe('number');
-    expect(result.isAnomaly).toBeDefined();
-    expect(result.featureImpact).toBeDefined();
-    expect(result.featureImpact.length).toBe(3);
-  });
+    
+    const result = detector.detect();
+    expect(result).toBeDefined();
+    expect(typeof result.anomalyScore).toBe('number');
+    expect(result.isAnomaly).toBeDefined();
+    expect(result.featureImpact).toBeDefined();
+    expect(result.featureImpact.length).toBe(3);
+  });
+
+  test('detects anomaly with abnormal data', () => {
+    const detector = new HopfieldAnomalyDetector({
+      featureCount: 2,
+      snapshotLength: 3,
+      seed: 12345,
+      anomalyThreshold: 0.5
+    });
+    
+    detector.setThresholds({
+      a: { mode: 'range', min: 0, max: 1 },
+      b: { mode: 'range', min: 0, max: 1 }
+    });
+    
+    // Train with normal patterns
+    const normalPattern = Array(6).fill(-1);
+    detector.network.train([normalPattern]);
+    detector.baseline = {
+      energy: { mean: -3, std: 1 },
+      drop: { mean: 0, std: 0.1 },
+      hamming: { mean: 0, std: 0.1 },
+      margin: { mean: 0, std: 0.1 }
+    };
+    detector.trained = true;
+    
+    // Add anomalous data
+    for (let i = 0; i < 3; i++) {
+      detector.addDataPoint({ a: 1, b: 1 }); // All 1s = anomalous
+    }
+    
+    const result = detector.detect();
+    expect(result.anomalyScore).toBeGreaterThan(0);
+  });
+
+  test('benchmark runs without error', () => {
+    const perf = HopfieldAnomalyDetector.benchmark({
+      featureCount: 5,
+      snapshotLength: 3,
+      dataPoints: 100
+    });
+    
+    expect(perf.trainingTime).toBeGreaterThan(0);
+    expect(perf.averageDetectLatency).toBeGreaterThan(0);
+    expect(perf.throughput).toBeGreaterThan(0);
+    expect(perf.memory).toBeDefined();
+  });
+
+  test('export and import config', () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 2 });
+    detector.setThresholds({
+      a: { mode: 'above', value: 0.5 },
+      b: { mode: 'below', value: 0.5 }
+    });
+    detector.trainWithDefaults();
+    
+    const config = detector.exportConfig();
+    const restored = HopfieldAnomalyDetector.fromConfig(config);
+    
+    expect(restored.featureCount).toBe(detector.featureCount);
+    expect(restored.trained).toBe(detector.trained);
+  });
+
+  test('gradient-based feature attribution returns sorted impacts', () => {
+    const detector = new HopfieldAnomalyDetector({
+      featureCount: 3,
+      snapshotLength: 2,
+      seed: 12345
+    });
+    
+    detector.setThresholds({
+      a: { mode: 'range', min: 0, max: 1 },
+      b: { mode: 'range', min: 0, max: 1 },
+      c: { mode: 'range', min: 0, max: 1 }
+    });
+    
+    detector.trainWithDefaults();
+    
+    for (let i = 0; i < 2; i++) {
+      detector.addDataPoint({ a: 0.5, b: 0.5, c: 0.5 });
+    }
+    
+    const result = detector.detect();
+    expect(result.featureImpact).toBeDefined();
+    expect(result.featureImpact.length).toBe(3);
+    
+    // Check sorted by absolute energyDelta
+    for (let i = 1; i < result.featureImpact.length; i++) {
+      expect(Math.abs(result.featureImpact[i - 1].energyDelta))
+        .toBeGreaterThanOrEqual(Math.abs(result.featureImpact[i].energyDelta));
+    }
+  });
+});
+
+describe('HopfieldAnomalyDetector - learnNormal', () => {
+  const createDetector = () => {
+    const detector = new HopfieldAnomalyDetector({
+      featureCount: 2,
+      snapshotLength: 3,
+      learningRule: 'pseudoinverse',
+      adaptiveThreshold: false,
+      seed: 12345
+    });
+    detector.setThresholds({
+      a: { mode: 'above', value: 0.5 },
+      b: { mode: 'above', value: 0.5 }
+    });
+    return detector;
+  };
+
+  test('learns a window of feature records and updates the baseline incrementally', () => {
+    const detector = createDetector();
+    detector.trainWithDefaults();
+    expect(detector.baseline.energy.count).toBe(2);
+
+    const window = [{ a: 1, b: 0 }, { a: 0, b: 1 }, { a: 1, b: 1 }];
+    detector.learnNormal(window);
+
+    expect(detector.network.patterns.length).toBe(3);
+    expect(detector.baseline.energy.count).toBe(3);
+    expect(detector.baseline.hamming.std).toBeGreaterThan(0);
+
+    window.forEach(r => detector.addDataPoint(r));
+    const result = detector.detect();
+    expect(result.metrics.hammingDistance).toBe(0);
+  });
+
+  test('learns the current buffer when called without a window', () => {
+    const detector = createDetector();
+    [{ a: 1, b: 0 }, { a: 1, b: 0 }, { a: 0, b: 0 }].forEach(r => detector.addDataPoint(r));
+
+    const pattern = detector.learnNormal();
+    expect(pattern).toEqual([1, -1, 1, -1, -1, -1]);
+    expect(detector.trained).toBe(true);
+  });
+
+  test('throws when the buffer is not full', () => {
+    const detector = createDetector();
+    detector.addDataPoint({ a: 1, b: 0 });
+    expect(() => detector.learnNormal()).toThrow('Buffer is not full; provide a window to learn');
+  });
+
+  test('monitor exposes learnNormal fluently', () => {
+    const monitor = new AnomalyMonitor({ featureCount: 2, snapshotLength: 2, learningRule: 'pseudoinverse' });
+    monitor.setThresholds({ a: { mode: 'above', value: 0.5 }, b: { mode: 'above', value: 0.5 } });
+    expect(monitor.learnNormal([{ a: 1, b: 0 }, { a: 0, b: 0 }])).toBe(monitor);
+  });
+});
+
+describe('HopfieldAnomalyDetector - Multi-level Encoding', () => {
+  const history = Array.from({ length: 200 }, (_, i) => ({ temp: 60 + (i % 10), load: i % 50, ok: 1 }));
+  const createDetector = () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 3, snapshotLength: 3, learningRule: 'pseudoinverse', seed: 1 });
+    detector.setThresholds({
+      temp: { mode: 'thermometer', edges: [50, 80, 120, 200] },
+      load: { mode: 'quantile', bins: 4, code: 'gray' },
+      ok: { mode: 'above', value: 0 }
+    });
+    return detector;
+  };
+  const windows = detector => [0, 3, 6].map(start =>
+    detector._binToBipolar(history.slice(start, start + 3).map(r => detector._featuresToBinary(r)).flat())
+  );
+
+  test('features occupy multiple neurons per time step', () => {
+    const detector = createDetector();
+    expect(detector.featureWidths).toEqual([4, 2, 1]);
+    expect(detector.patternSize).toBe(21);
+    expect(detector.network.size).toBe(21);
+  });
+
+  test('thermometer and Gray codes preserve magnitude', () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 2, snapshotLength: 2 });
+    detector.setThresholds({
+      t: { mode: 'thermometer', edges: [50, 80, 120] },
+      g: { mode: 'gray', edges: [10, 20, 30] }
+    });
+    expect(detector._featuresToBinary({ t: 81, g: 5 })).toEqual([1, 1, 0, 0, 0]);
+    expect(detector._featuresToBinary({ t: 300, g: 15 })).toEqual([1, 1, 1, 0, 1]);
+    expect(detector._featuresToBinary({ t: 0, g: 25 })).toEqual([0, 0, 0, 1, 1]);
+    expect(detector._featuresToBinary({ t: 0, g: 35 })).toEqual([0, 0, 0, 1, 0]);
+  });
+
+  test('quantile edges are learned from data', () => {
+    const detector = createDetector();
+    expect(() => detector._featuresToBinary(history[0])).toThrow("Quantile edges for 'load' not fitted");
+    expect(detector.fitEncodings(history)).toEqual({ load: [12, 25, 37] });
+    expect(detector.exportConfig().thresholds.load.edges).toEqual([12, 25, 37]);
+  });
+
+  test('featureImpact and contributingFeatures follow variable-width layout', () => {
+    const detector = createDetector();
+    detector.fitEncodings(history);
+    detector.train({ patterns: windows(detector) });
+    for (let i = 0; i < 3; i++) detector.addDataPoint({ temp: 300, load: 10, ok: 1 });
+    const result = detector.detect();
+
+    expect(result.snapshot).toHaveLength(21);
+    expect(result.featureImpact[0].name).toBe('temp');
+    const temp = result.contributingFeatures.find(f => f.name === 'temp');
+    expect(temp.pattern).toHaveLength(12);
+  });
+
+  test('validates encodings and protects trained layouts', () => {
+    const detector = createDetector();
+    expect(() => detector.setThresholds({
+      temp: { mode: 'thermometer', edges: [80, 50] },
+      load: { mode: 'above', value: 1 },
+      ok: { mode: 'above', value: 0 }
+    })).toThrow("Thermometer mode for 'temp' requires ascending numeric edges");
+
+    detector.fitEncodings(history);
+    detector.train({ patterns: windows(detector) });
+    expect(() => detector.setThresholds({
+      temp: { mode: 'above', value: 80 },
+      load: { mode: 'above', value: 1 },
+      ok: { mode: 'above', value: 0 }
+    })).toThrow('Cannot change encoding width of a trained detector');
+  });
+
+  test('exported configs round-trip variable-width models', () => {
+    const detector = createDetector();
+    detector.fitEncodings(history);
+    detector.train({ patterns: windows(detector) });
+    const restored = HopfieldAnomalyDetector.fromConfig(JSON.parse(JSON.stringify(detector.exportConfig())));
+
+    expect(restored.featureWidths).toEqual([4, 2, 1]);
+    expect(restored.network.size).toBe(21);
+  });
+});
+
+describe('HopfieldAnomalyDetector - fitThresholds', () => {
+  const records = Array.from({ length: 200 }, (_, i) => ({ temp: 60 + (i % 21), cpu: (i * 7) % 100, ok: 1 }));
+
+  test('derives percentile bands, one-sided limits and constants', () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 3 });
+    const { thresholds, report } = detector.fitThresholds(records, { oneSided: { cpu: 'upper' } });
+
+    expect(thresholds).toEqual({
+      temp: { mode: 'range', min: 60, max: 80 },
+      cpu: { mode: 'below', value: 99 },
+      ok: { mode: 'equal', value: 1 }
+    });
+    expect(report.cpu.flagged).toBeCloseTo(0.01);
+    expect(report.temp).toMatchObject({ method: 'percentile', samples: 200, flagged: 0 });
+    expect(detector.thresholds).toEqual(thresholds);
+  });
+
+  test('robust MAD bands ignore outliers', () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 1 });
+    const sample = [...Array.from({ length: 99 }, (_, i) => ({ v: 10 + (i % 3) })), { v: 1000 }];
+    const { report } = detector.fitThresholds(sample, { method: 'mad', k: 3, apply: false });
+
+    expect(report.v.max).toBeLessThan(20);
+    expect(report.v.flagged).toBeCloseTo(0.01);
+    expect(detector.thresholds).toEqual({});
+  });
+
+  test('leaves the time key out of the features', () => {
+    const timed = records.map((r, i) => ({ timestamp: 1700000000000 + i * 1000, ...r }));
+    const detector = new HopfieldAnomalyDetector({ featureCount: 3 });
+
+    expect(detector.fitThresholds(timed).featureNames).toEqual(['temp', 'cpu', 'ok']);
+    const logged = timed.map(({ timestamp, ...r }) => ({ ...r, at: new Date(timestamp).toISOString() }));
+    expect(Object.keys(new HopfieldAnomalyDetector({ featureCount: 3 }).fitThresholds(logged, { timeKey: 'at' }).thresholds))
+      .toEqual(['temp', 'cpu', 'ok']);
+  });
+
+  test('output is accepted by setThresholds', () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 3 });
+    const { thresholds, featureNames } = detector.fitThresholds(records, { apply: false });
+    expect(() => detector.setThresholds(thresholds, featureNames)).not.toThrow();
+  });
+
+  test('rejects unusable input', () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 1 });
+    expect(() => detector.fitThresholds([])).toThrow('No records provided');
+    expect(() => detector.fitThresholds([{ v: 'x' }])).toThrow("No numeric values for 'v'");
+    expect(() => detector.fitThresholds([{ v: 1 }], { method: 'iqr' })).toThrow('Unknown threshold fitting method: iqr');
+  });
+});
+
+describe('HopfieldAnomalyDetector - fit', () => {
+  const createDetector = (learningRule = 'pseudoinverse') => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 3, snapshotLength: 4, learningRule, seed: 1 });
+    detector.setThresholds({
+      cpu: { mode: 'below', value: 80 },
+      mem: { mode: 'below', value: 70 },
+      busy: { mode: 'above', value: 20 }
+    });
+    return detector;
+  };
+  // A 10-step duty cycle: 197 windows, 10 distinct patterns
+  const records = Array.from({ length: 200 }, (_, i) => {
+    const phase = i % 10;
+    return { cpu: phase < 7 ? 50 : 90, mem: phase % 5 === 0 ? 80 : 40, busy: phase < 3 ? 10 : 30 };
+  });
+
+  test('trains on deduplicated windows and reports coverage', () => {
+    const detector = createDetector();
+    const report = detector.fit(records);
+
+    expect(report).toEqual({
+      method: 'frequency',
+      windows: 197,
+      skipped: 0,
+      unique: 10,
+      prototypes: 10,
+      capacity: 12,
+      coverage: 1
+    });
+    expect(detector.trained).toBe(true);
+    expect(detector.network.patterns).toHaveLength(10);
+  });
+
+  test('k-medoids and max-coverage cover more windows than the most frequent ones', () => {
+    const coverage = method => createDetector().fit(records, { method, maxPrototypes: 3, radius: 0.25 }).coverage;
+    const frequency = coverage('frequency');
+
+    expect(coverage('kmedoids')).toBeGreaterThan(frequency);
+    expect(coverage('coverage')).toBeGreaterThan(frequency);
+  });
+
+  test('k-medoids and max-coverage consider only the most frequent candidates', () => {
+    // Rare one-off windows beyond maxCandidates are never selected
+    const noisy = [...records, { cpu: 90, mem: 80, busy: 10 }, { cpu: 50, mem: 80, busy: 30 }];
+    ['kmedoids', 'coverage'].forEach(method => {
+      const detector = createDetector();
+      const report = detector.fit(noisy, { method, maxCandidates: 10 });
+      expect(report.unique).toBeGreaterThan(10);
+      const stored = detector.network.patterns.map(p => Array.from(p).join());
+      const common = createDetector();
+      common.fit(records);
+      const known = common.network.patterns.map(p => Array.from(p).join());
+      stored.forEach(p => expect(known).toContain(p));
+    });
+    expect(() => createDetector().fit(records, { method: 'kmedoids', maxCandidates: 0 }))
+      .toThrow('maxCandidates must be a positive integer');
+  });
+
+  test('stores no more prototypes than the estimated capacity', () => {
+    const detector = createDetector('hebbian');
+    const report = detector.fit(records);
+    const stored = detector.network.patterns.map(p => Array.from(p));
+
+    expect(report.prototypes).toBeLessThan(report.unique);
+    expect(report.prototypes).toBeLessThanOrEqual(Math.max(1, detector.network.estimateCapacity(stored)));
+  });
+
+  test('stride and unknown values reduce the windows learned', () => {
+    const detector = createDetector();
+    detector.thresholds.mem.missing = 'unknown';
+    const gappy = records.map((r, i) => (i === 50 ? { cpu: r.cpu, busy: r.busy } : r));
+    const report = detector.fit(gappy, { stride: 2 });
+
+    expect(report.windows).toBe(99);
+    expect(report.skipped).toBe(2);
+  });
+
+  test('carries gaps from the history, not the live stream', () => {
+    const create = () => {
+      const detector = new HopfieldAnomalyDetector({ featureCount: 2, snapshotLength: 2, missingPolicy: 'carry', seed: 1 });
+      detector.setThresholds({ a: { mode: 'above', value: 0.5 }, b: { mode: 'above', value: 0.5 } });
+      return detector;
+    };
+    const history = [{ b: 1 }, { a: 1, b: 1 }, { b: 1 }, { a: 1, b: 1 }, { a: 1, b: 1 }];
+    const fresh = create().fit(history);
+    const live = create();
+    live.addDataPoint({ a: 0, b: 0 });
+
+    // The leading gap has nothing to carry, so its window is unknown
+    expect(fresh).toMatchObject({ windows: 4, skipped: 1, unique: 1 });
+    expect(live.fit(history)).toEqual(fresh);
+  });
+
+  test('validates options and input', () => {
+    const detector = createDetector();
+    expect(() => detector.fit(records, { method: 'random' })).toThrow('Unknown prototype selection method: random');
+    expect(() => detector.fit(records.slice(0, 3))).toThrow('At least 4 records are required to fit');
+    expect(() => new HopfieldAnomalyDetector({ featureCount: 3 }).fit(records)).toThrow('Thresholds must be set before training');
+  });
+});
+
+describe('HopfieldAnomalyDetector - Calibration', () => {
+  // Duty cycle with occasional memory spikes in the held-out data
+  const generate = (length, offset = 0) => Array.from({ length }, (_, i) => {
+    const phase = (i + offset) % 10;
+    const spike = (i * 7919) % 13 === 3;
+    return { cpu: phase < 7 ? 50 : 90, mem: phase % 5 === 0 || spike ? 80 : 40, busy: phase < 3 ? 10 : 30 };
+  });
+  const createDetector = () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 3, snapshotLength: 4, learningRule: 'pseudoinverse', seed: 1 });
+    detector.setThresholds({
+      cpu: { mode: 'below', value: 80 },
+      mem: { mode: 'below', value: 70 },
+      busy: { mode: 'above', value: 20 }
+    });
+    detector.fit(generate(200), { maxPrototypes: 4 });
+    return detector;
+  };
+
+  test('held-out windows give the baseline a real spread', () => {
+    const detector = createDetector();
+    expect(detector.baseline.hamming.std).toBe(1);
+
+    const baseline = detector.calibrate(generate(300, 3));
+    expect(baseline.hamming.std).toBeGreaterThan(0);
+    expect(baseline.hamming.std).toBeLessThan(1);
+    expect(baseline.skipped).toBe(0);
+    expect(detector.baseline.calibration).toEqual({ method: 'standard', samples: 297 });
+  });
+
+  test('robust and trimmed statistics damp outlying windows', () => {
+    const detector = createDetector();
+    const standard = detector.calibrate(generate(300, 3)).hamming.mean;
+
+    expect(detector.calibrate(generate(300, 3), { method: 'robust' }).hamming.mean).toBeLessThan(standard);
+    expect(detector.calibrate(generate(300, 3), { method: 'trimmed', trim: 0.2 }).hamming.mean).toBeLessThan(standard);
+    expect(detector.baseline.calibration).toEqual({ method: 'trimmed', samples: 297, trim: 0.2 });
+  });
+
+  test('accepts windows of records or bipolar patterns', () => {
+    const detector = createDetector();
+    const records = generate(4, 1);
+    const pattern = detector._binToBipolar(records.map(r => detector._featuresToBinary(r)).flat());
+    const fromRecords = detector.calibrate([records, records]);
+    const fromPatterns = detector.calibrate([pattern, pattern]);
+
+    expect(fromPatterns.energy).toEqual(fromRecords.energy);
+    expect(detector.baseline.calibration.samples).toBe(2);
+  });
+
+  test('calibration is exported and validated', () => {
+    const detector = createDetector();
+    detector.calibrate(generate(100, 3), { method: 'robust' });
+    const config = JSON.parse(JSON.stringify(detector.exportConfig()));
+
+    expect(HopfieldAnomalyDetector.fromConfig(config).baseline).toEqual(detector.baseline);
+    config.baseline.calibration.method = 'median';
+    expect(HopfieldAnomalyDetector.validateConfig(config).errors).toEqual([
+      { path: 'baseline.calibration.method', message: "unknown calibration method 'median'" }
+    ]);
+  });
+
+  test('learnNormal keeps the calibration and re-summarizes robust baselines', () => {
+    const standard = createDetector();
+    standard.calibrate(generate(20, 3));
+    standard.learnNormal(generate(4, 5));
+    expect(standard.baseline.calibration).toEqual({ method: 'standard', samples: 18 });
+    expect(standard.baseline.energy.count).toBe(18);
+
+    const robust = createDetector();
+    robust.calibrate(generate(20, 3), { method: 'robust' });
+    robust.learnNormal(generate(4, 5));
+    robust.learnNormal(generate(4, 6));
+    const hammings = robust._calibrationMetrics.map(m => m.hamming).sort((a, b) => a - b);
+    expect(robust.baseline.calibration).toEqual({ method: 'robust', samples: 19 });
+    expect(robust.baseline.hamming.mean).toBe((hammings[8] + hammings[9]) / 2);
+
+    // Loaded detectors have no calibration windows to re-summarize
+    const loaded = HopfieldAnomalyDetector.fromConfig(robust.exportConfig());
+    const baseline = loaded.baseline;
+    loaded.learnNormal(generate(4, 7));
+    expect(loaded.baseline).toEqual(baseline);
+  });
+
+  test('rejects untrained detectors and unknown methods', () => {
+    const detector = createDetector();
+    expect(() => detector.calibrate(generate(20), { method: 'mode' })).toThrow('Unknown calibration method: mode');
+    expect(() => detector.calibrate(generate(20), { method: 'trimmed', trim: 0.5 })).toThrow('trim must be in [0, 0.5)');
+    expect(() => detector.calibrate([])).toThrow('No calibration data provided');
+
+    const untrained = new HopfieldAnomalyDetector({ featureCount: 3, snapshotLength: 4 });
+    expect(() => untrained.calibrate(generate(20))).toThrow('Network not trained');
+  });
+});
+
+describe('HopfieldAnomalyDetector - fitScoreWeights', () => {
+  const generate = length => Array.from({ length }, (_, i) => {
+    const phase = i % 10;
+    return { cpu: phase < 7 ? 50 : 90, mem: phase % 5 === 0 ? 80 : 40, busy: phase < 3 ? 10 : 30 };
+  });
+  const createDetector = (config = {}) => {
+    const detector = new HopfieldAnomalyDetector({
+      featureCount: 3, snapshotLength: 4, learningRule: 'pseudoinverse', seed: 1, unsupervisedAdaptive: false, ...config
+    });
+    detector.setThresholds({
+      cpu: { mode: 'below', value: 80 },
+      mem: { mode: 'below', value: 70 },
+      busy: { mode: 'above', value: 20 }
+    });
+    detector.fit(generate(200));
+    detector.calibrate(generate(100));
+    return detector;
+  };
+  // Overloaded for 3 of every 37 records; a window is anomalous if any of its records is
+  const records = generate(300).map((features, i) => (i % 37 < 3 ? { cpu: 95, mem: 95, busy: 30 } : features));
+  const labeledWindows = records.slice(3).map((_, i) => ({
+    window: records.slice(i, i + 4),
+    isAnomaly: [i, i + 1, i + 2, i + 3].some(k => k % 37 < 3)
+  }));
+
+  test('learns non-negative normalized weights with importance and cross-validation', () => {
+    const detector = createDetector();
+    const result = detector.fitScoreWeights(labeledWindows, { fitThreshold: true });
+    const weights = Object.values(result.weights);
+
+    expect(weights.every(w => w >= 0)).toBe(true);
+    expect(weights.reduce((sum, w) => sum + w, 0)).toBeCloseTo(1);
+    expect(Object.values(result.importance).reduce((sum, v) => sum + v, 0)).toBeCloseTo(1);
+    expect(result).toMatchObject({ samples: 297, positives: 49 });
+    expect(result.crossValidation.folds).toBe(5);
+    expect(result.crossValidation.rocAuc).toBeGreaterThan(0.8);
+    expect(detector.scoreWeights).toEqual(result.weights);
+    expect(detector.anomalyThreshold).toBe(result.threshold);
+    expect(detector.adaptiveThreshold.threshold).toBe(result.threshold);
+  });
+
+  test('accepts detect() metrics in place of windows', () => {
+    // Sequential recall visits neurons in a fixed order, so both paths compute the same metrics
+    const detector = createDetector({ updateMode: 'sequential' });
+    const fromMetrics = labeledWindows.map(({ window, isAnomaly }) => {
+      detector.reset();
+      window.forEach(r => detector.addDataPoint(r));
+      return { metrics: detector.detect().metrics, isAnomaly };
+    });
+    const a = detector.fitScoreWeights(labeledWindows, { apply: false });
+    const b = detector.fitScoreWeights(fromMetrics, { apply: false });
+
+    ['energy', 'drop', 'hamming', 'margin'].forEach(c => expect(b.weights[c]).toBeCloseTo(a.weights[c], 10));
+    expect(detector.scoreWeightsProvenance).toBeNull();
+  });
+
+  test('provenance is exported with the weights', () => {
+    const detector = createDetector();
+    detector.fitScoreWeights(labeledWindows, { l2: 0.1 });
+    const config = JSON.parse(JSON.stringify(detector.exportConfig()));
+
+    expect(config.scoreWeightsProvenance).toMatchObject({ method: 'logistic', samples: 297, positives: 49, l2: 0.1, threshold: null });
+    expect(HopfieldAnomalyDetector.validateConfig(config).valid).toBe(true);
+    const restored = HopfieldAnomalyDetector.fromConfig(config);
+    expect(restored.scoreWeightsProvenance).toEqual(config.scoreWeightsProvenance);
+    expect(restored.scoreWeights).toEqual(detector.scoreWeights);
+  });
+
+  test('rejects unusable input', () => {
+    const detector = createDetector();
+    expect(() => detector.fitScoreWeights(labeledWindows.filter(w => !w.isAnomaly)))
+      .toThrow('Labeled windows must include both anomalous and normal examples');
+    expect(() => detector.fitScoreWeights(labeledWindows, { fitBias: false, fitThreshold: true }))
+      .toThrow('fitThreshold requires fitBias');
+    expect(() => new HopfieldAnomalyDetector({ featureCount: 3 }).fitScoreWeights(labeledWindows))
+      .toThrow('Network not trained');
+  });
+});
+
+describe('HopfieldAnomalyDetector - Drift Detection', () => {
+  // Duty cycle; `shift` moves cpu above its threshold as after maintenance
+  const generate = (length, shift = 0) => Array.from({ length }, (_, i) => {
+    const phase = i % 10;
+    return { cpu: (phase < 7 ? 50 : 90) + shift, mem: phase % 5 === 0 ? 80 : 40, busy: phase < 3 ? 10 : 30 };
+  });
+  const createDetector = (drift, config = {}) => {
+    const detector = new HopfieldAnomalyDetector({
+      featureCount: 3, snapshotLength: 4, learningRule: 'pseudoinverse', seed: 1, drift: { window: 50, ...drift }, ...config
+    });
+    detector.setThresholds({
+      cpu: { mode: 'below', value: 80 },
+      mem: { mode: 'below', value: 70 },
+      busy: { mode: 'above', value: 20 }
+    });
+    detector.fit(generate(200), { maxPrototypes: 3 });
+    detector.calibrate(generate(100));
+    return detector;
+  };
+  const run = (detector, records) => records.map(r => (detector.addDataPoint(r) ? detector.detect() : null));
+
+  test.each(['pageHinkley', 'adwin', 'psi'])('%s flags a persistent shift, not a stationary stream', method => {
+    const detector = createDetector({ method });
+    const events = [];
+    detector.on('drift', e => events.push(e));
+
+    run(detector, generate(300));
+    expect(events).toHaveLength(0);
+    expect(detector.getStats().drift.warmedUp).toBe(true);
+
+    run(detector, generate(200, 40));
+    expect(events.length).toBeGreaterThan(0);
+    expect(events[0]).toMatchObject({ features: ['cpu'], method });
+    expect(detector.getStats().drift).toMatchObject({ method, policy: 'manual', detections: events.length, retrains: 0 });
+  });
+
+  test('fit, calibrate and learnNormal restart the drift reference', () => {
+    const detector = createDetector();
+    const warmedUp = () => detector.getStats().drift.warmedUp;
+    const refit = [
+      () => detector.fit(generate(200), { maxPrototypes: 3 }),
+      () => detector.calibrate(generate(100)),
+      () => detector.learnNormal(generate(4))
+    ];
+    refit.forEach(call => {
+      run(detector, generate(100));
+      expect(warmedUp()).toBe(true);
+      call();
+      expect(warmedUp()).toBe(false);
+      expect(detector._recentWindows).toEqual([]);
+    });
+  });
+
+  test('drifts are stamped with the record time', () => {
+    const detector = createDetector();
+    const start = Date.parse('2025-01-01T00:00:00Z');
+    const records = [...generate(300), ...generate(200, 40)].map((r, i) => ({ ...r, timestamp: start + i * 1000 }));
+    const results = run(detector, records);
+
+    const first = results.findIndex(r => r && r.drift);
+    expect(results[first].drift.timestamp).toBe(new Date(records[first].timestamp).toISOString());
+    const last = results.map(r => r && r.drift).filter(Boolean).pop();
+    expect(detector.getStats().drift.lastDrift).toBe(last.timestamp);
+  });
+
+  test('auto policy retrains from windows after the drift', () => {
+    const detector = createDetector({ retrain: 'auto' });
+    const retrains = [];
+    detector.on('retrain', e => retrains.push(e));
+    run(detector, [...generate(300), ...generate(300, 40)]);
+
+    expect(retrains).toHaveLength(1);
+    expect(retrains[0]).toMatchObject({ policy: 'auto', windows: 20 });
+    expect(detector.getStats().drift.retrains).toBe(1);
+    // Every stored window now has cpu (the first bit of each step) abnormal
+    expect(detector.network.patterns.every(p => p[0] === -1)).toBe(true);
+    expect(detector.baseline.calibration.samples).toBe(20);
+  });
+
+  test('shadow policy swaps in the retrained model once it flags fewer windows', () => {
+    const detector = createDetector({ retrain: 'shadow', shadowWindows: 30 });
+    const active = detector.network;
+    const retrains = [];
+    detector.on('retrain', e => retrains.push(e));
+    const results = run(detector, [...generate(300), ...generate(300, 40)]);
+
+    const swap = retrains.find(e => e.swapped);
+    expect(swap).toMatchObject({ policy: 'shadow', evaluated: 30 });
+    expect(swap.anomalies.shadow).toBeLessThan(swap.anomalies.active);
+    expect(detector.network).not.toBe(active);
+    expect(results.some(r => r && r.drift)).toBe(true);
+  });
+
+  test('a loaded detector swaps in a shadow with the same network settings', () => {
+    const original = createDetector({ retrain: 'shadow', shadowWindows: 30 }, { blockSize: 2 });
+    const detector = HopfieldAnomalyDetector.fromConfig(original.exportConfig());
+    const retrains = [];
+    detector.on('retrain', e => retrains.push(e));
+    run(detector, [...generate(300), ...generate(300, 40)]);
+
+    expect(retrains.some(e => e.swapped)).toBe(true);
+    expect(detector.network.getInfo()).toMatchObject({ updateMode: 'async', blockSize: 2 });
+  });
+
+  test('manual retrain needs enough normal windows', () => {
+    const detector = createDetector();
+    expect(() => detector.retrain()).toThrow('Not enough normal windows to retrain (0 of 20)');
+    run(detector, generate(60));
+    const report = detector.retrain({ method: 'coverage' });
+    expect(report.method).toBe('coverage');
+    expect(report.windows).toBeGreaterThanOrEqual(20);
+    expect(report.windows).toBeLessThanOrEqual(57);
+    expect(() => new HopfieldAnomalyDetector({ featureCount: 1 }).retrain())
+      .toThrow('Retraining requires drift monitoring (the drift option)');
+  });
+
+  test('drift options are exported and monitor state is saved', () => {
+    const detector = createDetector({ method: 'psi' });
+    run(detector, generate(320));
+    const snapshot = JSON.parse(JSON.stringify(detector.saveState()));
+    const resumed = HopfieldAnomalyDetector.restoreState(snapshot);
+
+    expect(snapshot.config.drift).toMatchObject({ method: 'psi', window: 50, threshold: 0.25, retrain: 'manual' });
+    const tail = generate(100, 40);
+    expect(run(resumed, tail).map(r => r.drift)).toEqual(run(detector, tail).map(r => r.drift).map(d => d && { ...d, timestamp: expect.any(String) }));
+    expect(resumed.getStats().drift.detections).toBe(detector.getStats().drift.detections);
+
+    snapshot.config.drift.method = 'cusum';
+    expect(HopfieldAnomalyDetector.validateConfig(snapshot.config).errors)
+      .toEqual([{ path: 'drift', message: 'Unknown drift method: cusum' }]);
+    expect(() => new HopfieldAnomalyDetector({ featureCount: 1, drift: { retrain: 'nightly' } }))
+      .toThrow('Unknown retrain policy: nightly');
+  });
+
+  test('AnomalyMonitor triggers onDrift', () => {
+    const monitor = new AnomalyMonitor({ featureCount: 1 });
+    monitor.detector = createDetector({ method: 'adwin' });
+    const drifts = [];
+    monitor.on('onDrift', drift => drifts.push(drift));
+    [...generate(300), ...generate(200, 40)].forEach(r => monitor.process(r));
+
+    expect(drifts.length).toBeGreaterThan(0);
+    expect(drifts[0].features).toContain('cpu');
+  });
+});
+
+describe('HopfieldAnomalyDetector - Feedback', () => {
+  const createDetector = (config = {}) => {
+    const detector = new HopfieldAnomalyDetector({
+      featureCount: 2, snapshotLength: 2, learningRule: 'pseudoinverse', unsupervisedAdaptive: false, ...config
+    });
+    detector.setThresholds({ cpu: { mode: 'below', value: 80 }, mem: { mode: 'below', value: 70 } });
+    detector.fit([{ cpu: 50, mem: 40 }, { cpu: 50, mem: 40 }, { cpu: 50, mem: 40 }]);
+    return detector;
+  };
+  const score = (detector, record) => {
+    detector.addDataPoint(record);
+    return detector.detect();
+  };
+
+  test('results carry increasing ids', () => {
+    const detector = createDetector();
+    detector.addDataPoint({ cpu: 50, mem: 40 });
+    const ids = [0, 1, 2].map(() => score(detector, { cpu: 50, mem: 40 }).id);
+    expect(ids).toEqual([1, 2, 3]);
+  });
+
+  test('confirmations build a confusion matrix with precision and recall', () => {
+    const detector = createDetector();
+    detector.addDataPoint({ cpu: 50, mem: 40 });
+    const normal = score(detector, { cpu: 50, mem: 40 });
+    const alarm = score(detector, { cpu: 95, mem: 40 });
+    const alarm2 = score(detector, { cpu: 95, mem: 40 });
+    expect(normal.isAnomaly).toBe(false);
+    expect(alarm.isAnomaly).toBe(true);
+
+    expect(detector.feedback(alarm.id, { isAnomaly: true })).toEqual({ id: alarm.id, accepted: true, outcome: 'tp' });
+    expect(detector.feedback(alarm2.id, { isAnomaly: false }).outcome).toBe('fp');
+    expect(detector.feedback(normal.id, { isAnomaly: true }).outcome).toBe('fn');
+    expect(detector.getStats().feedback).toEqual({
+      labeled: 3,
+      tp: 1,
+      fp: 1,
+      fn: 1,
+      tn: 0,
+      precision: 0.5,
+      recall: 0.5,
+      rejected: { expired: 0, unknown: 0, duplicate: 0 }
+    });
+  });
+
+  test('feedback tunes the adaptive threshold', () => {
+    const detector = createDetector();
+    detector.addDataPoint({ cpu: 50, mem: 40 });
+    const alarm = score(detector, { cpu: 95, mem: 40 });
+    const before = detector.adaptiveThreshold.threshold;
+
+    detector.feedback(alarm.id, { isAnomaly: false });
+    expect(detector.adaptiveThreshold.threshold).toBeCloseTo(before * 1.05);
+  });
+
+  test('feedback judges a result against the threshold it was decided with', () => {
+    const detector = createDetector();
+    detector.addDataPoint({ cpu: 50, mem: 40 });
+    const alarm = score(detector, { cpu: 95, mem: 40 });
+    expect(alarm.isAnomaly).toBe(true);
+    // A later adjustment moves the threshold above the alarm's score
+    detector.adaptiveThreshold.threshold = Math.min(0.9, alarm.anomalyScore + 0.1);
+    const before = detector.adaptiveThreshold.threshold;
+
+    expect(detector.feedback(alarm.id, { isAnomaly: false }).outcome).toBe('fp');
+    expect(detector.adaptiveThreshold.threshold).toBeCloseTo(Math.min(0.9, before * 1.05));
+  });
+
+  test('feedback warns once in unsupervised adaptive mode', () => {
+    const warnings = [];
+    const { warn } = console;
+    console.warn = message => warnings.push(message);
+    try {
+      const detector = createDetector({ unsupervisedAdaptive: true });
+      detector.addDataPoint({ cpu: 50, mem: 40 });
+      const results = [score(detector, { cpu: 95, mem: 40 }), score(detector, { cpu: 95, mem: 40 })];
+      results.forEach(r => detector.feedback(r.id, { isAnomaly: false }));
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toContain('unsupervisedAdaptive: false');
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  test('feedback on windows no longer retained is reported', () => {
+    const detector = createDetector({ feedbackWindow: 2 });
+    detector.addDataPoint({ cpu: 50, mem: 40 });
+    const first = score(detector, { cpu: 50, mem: 40 });
+    const second = score(detector, { cpu: 50, mem: 40 });
+    score(detector, { cpu: 50, mem: 40 });
+
+    expect(detector.feedback(first.id, { isAnomaly: false })).toEqual({ id: first.id, accepted: false, reason: 'expired' });
+    expect(detector.feedback(99, { isAnomaly: false }).reason).toBe('unknown');
+    detector.feedback(second.id, { isAnomaly: false });
+    expect(detector.feedback(second.id, { isAnomaly: true }).reason).toBe('duplicate');
+    expect(detector.getStats().feedback.rejected).toEqual({ expired: 1, unknown: 1, duplicate: 1 });
+    expect(() => detector.feedback(second.id, {})).toThrow('feedback requires isAnomaly (boolean)');
+  });
+
+  test('retained results and outcomes survive saveState', () => {
+    const monitor = new AnomalyMonitor({ featureCount: 2 });
+    monitor.detector = createDetector();
+    monitor.process({ cpu: 50, mem: 40 });
+    const result = monitor.process({ cpu: 95, mem: 40 });
+    monitor.feedback(result.id, { isAnomaly: true });
+    const pending = monitor.process({ cpu: 95, mem: 40 });
+
+    const restored = AnomalyMonitor.restoreState(JSON.parse(JSON.stringify(monitor.saveState())));
+    expect(restored.feedback(pending.id, { isAnomaly: true }).outcome).toBe('tp');
+    expect(restored.getStats().feedback.tp).toBe(2);
+    expect(restored.process({ cpu: 50, mem: 40 }).id).toBe(pending.id + 1);
+  });
+});
+
+describe('HopfieldAnomalyDetector - detectBatch', () => {
+  const generate = length => Array.from({ length }, (_, i) => {
+    const phase = i % 10;
+    return { cpu: phase < 7 ? 50 : 90, mem: phase % 5 === 0 ? 80 : 40, busy: phase < 3 ? 10 : 30 };
+  });
+  const records = generate(60).map((r, i) => (i >= 30 && i < 34 ? { cpu: 95, mem: 95, busy: 30 } : r));
+  const createDetector = (config = {}) => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 3, snapshotLength: 4, learningRule: 'storkey', seed: 3, ...config });
+    detector.setThresholds({
+      cpu: { mode: 'below', value: 80 },
+      mem: { mode: 'below', value: 70 },
+      busy: { mode: 'above', value: 20 }
+    });
+    detector.fit(generate(100));
+    return detector;
+  };
+  const stream = (detector, stride = 1) => {
+    const results = [];
+    let ready = 0;
+    records.forEach(r => {
+      if (detector.addDataPoint(r) && ready++ % stride === 0) results.push(detector.detect());
+    });
+    return results;
+  };
+
+  test('matches the streaming path exactly', () => {
+    const streaming = createDetector();
+    const expected = stream(streaming);
+    const batched = createDetector();
+    const batch = batched.detectBatch(records);
+
+    expect(batch).toMatchObject({ rows: 60, skipped: 0, windows: 57, featureNames: ['cpu', 'mem', 'busy'] });
+    expect(Array.from(batch.scores)).toEqual(expected.map(r => r.anomalyScore));
+    expect(Array.from(batch.flags)).toEqual(expected.map(r => (r.isAnomaly ? 1 : 0)));
+    expect(Array.from(batch.ids)).toEqual(expected.map(r => r.id));
+    expect(Array.from(batch.metrics.zMargin)).toEqual(expected.map(r => r.metrics.zMargin));
+    expect(Array.from(batch.topFeature)).toEqual(expected.map(r => r.featureImpact[0].index));
+    expect(batch.index[0]).toBe(3);
+    expect(batch.anomalies).toBeGreaterThan(0);
+    expect(batched.stats.anomaliesDetected).toBe(streaming.stats.anomaliesDetected);
+    expect(batched.adaptiveThreshold.toJSON()).toEqual(streaming.adaptiveThreshold.toJSON());
+    expect(batched.feedback(batch.ids[0], { isAnomaly: false }).accepted).toBe(true);
+  });
+
+  test('stride scores every k-th window and attribution can be skipped', () => {
+    const expected = stream(createDetector(), 3);
+    const batch = createDetector().detectBatch(records, { stride: 3, attribution: false });
+
+    expect(batch.windows).toBe(19);
+    expect(Array.from(batch.index)).toEqual(Array.from({ length: 19 }, (_, k) => 3 + 3 * k));
+    expect(Array.from(batch.scores)).toEqual(expected.map(r => r.anomalyScore));
+    expect(batch.topFeature).toBeNull();
+  });
+
+  test('accepts a row-major Float64Array with missing values', () => {
+    const withGap = records.map((r, i) => (i === 10 ? { ...r, mem: undefined } : r));
+    const matrix = Float64Array.from(withGap.flatMap(r => [r.cpu, r.mem === undefined ? NaN : r.mem, r.busy]));
+    const streaming = createDetector({ missingPolicy: 'skip' });
+    const expected = [];
+    withGap.forEach(r => {
+      if (streaming.addDataPoint(r)) expected.push(streaming.detect().anomalyScore);
+    });
+    const batch = createDetector({ missingPolicy: 'skip' }).detectBatch(matrix);
+
+    expect(batch).toMatchObject({ rows: 60, skipped: 1, windows: 56 });
+    expect(Array.from(batch.scores)).toEqual(expected);
+
+    const reordered = Float64Array.from(records.flatMap(r => [r.busy, r.cpu, r.mem]));
+    const columns = createDetector().detectBatch(reordered, { columns: ['busy', 'cpu', 'mem'] });
+    expect(Array.from(columns.scores)).toEqual(stream(createDetector()).map(r => r.anomalyScore));
+  });
+
+  test('stamps each window with its newest record time and leaves the stream state as streaming does', () => {
+    const start = Date.parse('2025-01-01T00:00:00Z');
+    const timed = records.map((r, i) => ({ ...r, timestamp: start + i * 60000 }));
+    const streaming = createDetector();
+    timed.forEach(r => streaming.addDataPoint(r) && streaming.detect());
+    const batched = createDetector();
+    const events = [];
+    batched.on('anomaly', e => events.push(e));
+    const batch = batched.detectBatch(timed);
+
+    expect(events).toHaveLength(batch.anomalies);
+    const flagged = Array.from(batch.index).filter((_, k) => batch.flags[k]);
+    expect(events.map(e => e.timestamp)).toEqual(flagged.map(r => new Date(timed[r].timestamp).toISOString()));
+    expect(batched.getStats().lastAnomaly).toBe(events[events.length - 1].timestamp);
+    expect(batched.saveState().runtime.buffer).toEqual(streaming.saveState().runtime.buffer);
+  });
+
+  test('default matrix columns include derivation sources and rate times', () => {
+    const start = Date.parse('2025-01-01T00:00:00Z');
+    const timed = records.map((r, i) => ({ ...r, timestamp: start + i * 1000 }));
+    const createDerived = () => {
+      const detector = new HopfieldAnomalyDetector({ featureCount: 3, snapshotLength: 4, seed: 1 });
+      detector.setThresholds({
+        cpu: { mode: 'below', value: 80 },
+        cpuRate: { mode: 'below', value: 5, derive: { type: 'rate', source: 'cpu' } },
+        load: { mode: 'below', value: 1, derive: { type: 'ratio', source: 'busy', with: 'mem' } }
+      });
+      detector.fit(timed);
+      return detector;
+    };
+    const detector = createDerived();
+    expect(detector._batchColumns()).toEqual(['cpu', 'busy', 'mem', 'timestamp']);
+
+    const matrix = Float64Array.from(timed.flatMap(r => [r.cpu, r.busy, r.mem, r.timestamp]));
+    const batch = detector.detectBatch(matrix);
+    expect(batch).toMatchObject({ rows: 60, skipped: 0, windows: 57 });
+    expect(Array.from(batch.scores)).toEqual(Array.from(createDerived().detectBatch(timed).scores));
+  });
+
+  test('validates its input', () => {
+    const detector = createDetector();
+    expect(() => detector.detectBatch(records, { stride: 0 })).toThrow('stride must be a positive integer');
+    expect(() => detector.detectBatch(new Float64Array(4))).toThrow('Matrix length 4 is not a multiple of 3 columns');
+    expect(() => detector.detectBatch('rows')).toThrow('detectBatch expects an array of records or a Float64Array');
+    expect(() => new HopfieldAnomalyDetector({ featureCount: 3 }).detectBatch(records)).toThrow('Network not trained');
+  });
+});
+
+describe('evaluate', () => {
+  const generate = length => Array.from({ length }, (_, i) => {
+    const phase = i % 10;
+    return { cpu: phase < 7 ? 50 : 90, mem: phase % 5 === 0 ? 80 : 40, busy: phase < 3 ? 10 : 30 };
+  });
+  const createDetector = () => {
+    const detector = new HopfieldAnomalyDetector({
+      featureCount: 3, snapshotLength: 4, learningRule: 'pseudoinverse', seed: 1, unsupervisedAdaptive: false, anomalyThreshold: 0.5
+    });
+    detector.setThresholds({
+      cpu: { mode: 'below', value: 80 },
+      mem: { mode: 'below', value: 70 },
+      busy: { mode: 'above', value: 20 }
+    });
+    detector.fit(generate(200));
+    detector.calibrate(generate(100));
+    return detector;
+  };
+  // Two incidents: records 100-105 and 200-202 are overloaded
+  const labeled = generate(300).map((features, i) => {
+    const isAnomaly = (i >= 100 && i < 106) || (i >= 200 && i < 203);
+    return { features: isAnomaly ? { cpu: 95, mem: 95, busy: 30 } : features, isAnomaly };
+  });
+
+  test('reports window-level quality and ranking metrics', () => {
+    const report = evaluate(createDetector(), labeled, { level: 'window' });
+
+    expect(report).toMatchObject({ level: 'window', records: 300, windows: 297, positives: 15, precision: 1, rocAuc: 1, prAuc: 1 });
+    expect(report.confusion.fp).toBe(0);
+    expect(report.recall).toBeCloseTo(report.confusion.tp / 15);
+    expect(report.f1).toBeCloseTo((2 * report.recall) / (1 + report.recall));
+  });
+
+  test('event level counts incidents and detection delay', () => {
+    const report = evaluate(createDetector(), labeled, { level: 'event' });
+
+    expect(report).toMatchObject({ precision: 1, recall: 1, detected: 2, falseAlarms: 0 });
+    expect(report.delay).toEqual({ events: 2, detected: 2, mean: 4.5, median: 6, max: 6 });
+  });
+
+  test('threshold sweep trades recall for precision', () => {
+    const report = evaluate(createDetector(), labeled, { level: 'point', thresholds: [0, 0.5, 1000] });
+
+    expect(report.sweep.map(row => row.threshold)).toEqual([0, 0.5, 1000]);
+    expect(report.sweep[0].recall).toBeGreaterThanOrEqual(report.sweep[1].recall);
+    expect(report.sweep[2]).toMatchObject({ precision: null, recall: 0, falsePositiveRate: 0 });
+    expect(evaluate(createDetector(), labeled, { steps: 5 }).sweep.length).toBeLessThanOrEqual(5);
+  });
+
+  test('does not mutate the evaluated detector', () => {
+    const detector = createDetector();
+    generate(10).forEach(r => detector.addDataPoint(r));
+    detector.detect();
+    const before = JSON.stringify(detector.saveState());
+    const monitor = new AnomalyMonitor({ featureCount: 3 });
+    monitor.detector = detector;
+
+    evaluate(detector, labeled);
+    evaluate(monitor, labeled, { level: 'event' });
+    expect(JSON.stringify(detector.saveState())).toBe(before);
+  });
+
+  test('validates its input', () => {
+    const detector = createDetector();
+    expect(() => evaluate(detector, labeled, { level: 'segment' })).toThrow('Unknown evaluation level: segment');
+    expect(() => evaluate(detector, [])).toThrow('No labeled records provided');
+    expect(() => evaluate(detector, labeled.slice(0, 3))).toThrow('No windows were scored');
+    expect(evaluate(detector, labeled.slice(0, 50)).rocAuc).toBeNull();
+  });
+});
+
+describe('tune', () => {
+  const generate = length => Array.from({ length }, (_, i) => {
+    const phase = i % 10;
+    return { cpu: phase < 7 ? 50 : 90, mem: phase % 5 === 0 ? 80 : 40, busy: phase < 3 ? 10 : 30 };
+  });
+  // Overloads at regular intervals so every fold's test block holds some
+  const labels = Array.from({ length: 240 }, (_, i) => i % 60 >= 40 && i % 60 < 44);
+  const records = generate(240).map((features, i) => (labels[i] ? { cpu: 95, mem: 95, busy: 30 } : features));
+  const options = {
+    config: { unsupervisedAdaptive: false, anomalyThreshold: 0.5 },
+    thresholds: {
+      cpu: { mode: 'below', value: 80 },
+      mem: { mode: 'below', value: 70 },
+      busy: { mode: 'above', value: 20 }
+    },
+    folds: 2,
+    level: 'window',
+    metric: 'rocAuc'
+  };
+
+  test('grid search ranks every combination and exports the best config', async () => {
+    const result = await tune(records, labels, { snapshotLength: [3, 4], learningRule: ['storkey', 'pseudoinverse'] }, options);
+
+    expect(result).toMatchObject({ strategy: 'grid', seed: 1, metric: 'rocAuc', trials: 4, cancelled: false });
+    expect(result.leaderboard.map(e => e.rank)).toEqual([1, 2, 3, 4]);
+    expect(result.leaderboard.map(e => e.params)).toEqual(expect.arrayContaining([
+      { snapshotLength: 3, learningRule: 'storkey' },
+      { snapshotLength: 4, learningRule: 'pseudoinverse' }
+    ]));
+    const scores = result.leaderboard.map(e => e.score);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    expect(result.best).toBe(result.leaderboard[0]);
+    expect(result.best.folds).toHaveLength(2);
+    expect(result.best.folds[0]).toMatchObject({ train: 80, test: 80 });
+
+    expect(result.config).toMatchObject({ ...result.best.params, seed: 1 });
+    const detector = HopfieldAnomalyDetector.fromConfig(result.config);
+    expect(detector.trained).toBe(true);
+  });
+
+  test('random search is deterministic for a seed', async () => {
+    const space = { snapshotLength: { min: 3, max: 5, integer: true }, thresholdPercentile: [95, 99] };
+    const run = seed => tune(records, labels, space, { ...options, strategy: 'random', trials: 3, seed });
+
+    const [a, b, c] = [await run(7), await run(7), await run(8)];
+    expect(a.leaderboard).toEqual(b.leaderboard);
+    expect(a.config).toEqual(b.config);
+    a.leaderboard.forEach(e => expect([3, 4, 5]).toContain(e.params.snapshotLength));
+    expect(c.leaderboard.map(e => e.params)).not.toEqual(a.leaderboard.map(e => e.params));
+  });
+
+  test('rejects networks below capacity and ranks them last', async () => {
+    // 3 features x 2 steps = 6 Hebbian neurons: capacity 0.138 * 6 < 1
+    const result = await tune(records, labels, { snapshotLength: [2, 4], learningRule: ['hebbian'] }, options);
+
+    const last = result.leaderboard[1];
+    expect(last).toMatchObject({ rank: 2, score: null, params: { snapshotLength: 2 } });
+    expect(last.error).toBe('Network of 6 neurons cannot store a pattern');
+    expect(result.best.params.snapshotLength).toBe(4);
+    result.best.folds.forEach(fold => expect(fold.prototypes).toBeLessThanOrEqual(Math.max(1, fold.capacity)));
+  });
+
+  test('fits thresholds per fold on timestamped records without the time key', async () => {
+    const timed = records.map((r, i) => ({ timestamp: 1700000000000 + i * 1000, ...r }));
+    const { thresholds, ...untimed } = options;
+    const result = await tune(timed, labels, { snapshotLength: [4] }, untimed);
+
+    expect(result.leaderboard[0].error).toBeUndefined();
+    expect(result.best).not.toBeNull();
+    expect(result.config).toMatchObject({ featureCount: 3, featureNames: ['cpu', 'mem', 'busy'] });
+    expect(Object.keys(result.config.thresholds)).toEqual(Object.keys(thresholds));
+  });
+
+  test('can be cancelled between trials', async () => {
+    const controller = new AbortController();
+    const seen = [];
+    const result = await tune(records, labels, { snapshotLength: [3, 4, 5] }, {
+      ...options,
+      signal: controller.signal,
+      onTrial: (entry, progress) => {
+        seen.push(progress);
+        controller.abort();
+      }
+    });
+
+    expect(seen).toEqual([{ completed: 1, total: 3 }]);
+    expect(result).toMatchObject({ trials: 1, cancelled: true });
+    expect(result.leaderboard).toHaveLength(1);
+  });
+
+  test('validates its input', async () => {
+    await expect(tune(records, labels, { window: [3] }, options)).rejects.toThrow('Unknown search parameter: window');
+    await expect(tune(records, labels, { snapshotLength: { min: 3, max: 5 } }, options))
+      .rejects.toThrow("Grid search needs a list of values for 'snapshotLength'");
+    await expect(tune(records, labels, { snapshotLength: [] }, options)).rejects.toThrow("Search space for 'snapshotLength' is empty");
+    await expect(tune(records, labels.slice(1), {}, options)).rejects.toThrow('labels must have one entry per record');
+    await expect(tune(records, labels, {}, { ...options, strategy: 'bayes' })).rejects.toThrow('Unknown search strategy: bayes');
+    await expect(tune(records, labels, {}, { ...options, metric: 'mcc' })).rejects.toThrow('Unknown tuning metric: mcc');
+    await expect(tune(records, labels, {}, { ...options, seed: 0 })).rejects.toThrow('seed must be a positive integer');
+  });
+});
+
+describe('HopfieldAnomalyDetector - Categorical Encoding', () => {
+  const createDetector = (state = {}) => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 3, snapshotLength: 2, learningRule: 'pseudoinverse', seed: 4 });
+    detector.setThresholds({
+      state: { mode: 'categorical', categories: ['IDLE', 'RUNNING', 'FAULT'], ...state },
+      firmware: { mode: 'in', values: [101, 102] },
+      alarm: { mode: 'notIn', values: ['E1', 'E2'] }
+    });
+    return detector;
+  };
+
+  test('one-hot encodes declared categories with an other slot', () => {
+    const detector = createDetector();
+    expect(detector.featureWidths).toEqual([4, 1, 1]);
+    expect(detector._featuresToBinary({ state: 'RUNNING', firmware: 101, alarm: 'OK' })).toEqual([0, 1, 0, 0, 1, 1]);
+    expect(detector._featuresToBinary({ state: 'BOOT', firmware: 99, alarm: 'E2' })).toEqual([0, 0, 0, 1, 0, 0]);
+  });
+
+  test('binary code packs categories into fewer neurons', () => {
+    const detector = createDetector({ code: 'binary' });
+    expect(detector.featureWidths).toEqual([2, 1, 1]);
+    expect(detector._featuresToBinary({ state: 'FAULT', firmware: 101, alarm: 'OK' })).toEqual([1, 0, 1, 1]);
+    expect(detector._featuresToBinary({ state: 'BOOT', firmware: 101, alarm: 'OK' })).toEqual([1, 1, 1, 1]);
+  });
+
+  test('unseen categories can be routed to the missing-value policy', () => {
+    const detector = createDetector({ unseen: 'missing', missing: 'unknown' });
+    expect(detector.featureWidths).toEqual([3, 1, 1]);
+    detector.train({ patterns: [[1, -1, -1, 1, 1, 1, -1, -1, 1, 1]] });
+    detector.addDataPoint({ state: 'BOOT', firmware: 101, alarm: 'OK' });
+    expect(detector.buffer[0]).toEqual([null, null, null, 1, 1]);
+    expect(detector.getStats().missingValues.unknown).toBe(1);
+  });
+
+  test('featureImpact reports categorical features by name', () => {
+    const detector = createDetector();
+    const idle = detector._binToBipolar(detector._featuresToBinary({ state: 'IDLE', firmware: 101, alarm: 'OK' }));
+    detector.train({ patterns: [[...idle, ...idle]] });
+    detector.addDataPoint({ state: 'FAULT', firmware: 101, alarm: 'OK' });
+    detector.addDataPoint({ state: 'FAULT', firmware: 101, alarm: 'OK' });
+    const result = detector.detect();
+
+    expect(result.featureImpact.map(f => f.name).sort()).toEqual(['alarm', 'firmware', 'state']);
+    expect(result.contributingFeatures.find(f => f.name === 'state').pattern).toHaveLength(8);
+  });
+
+  test('validates categorical and set definitions', () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 1 });
+    expect(() => detector.setThresholds({ s: { mode: 'categorical', categories: ['A', 'A'] } }))
+      .toThrow("Categorical mode for 's' requires a non-empty array of distinct categories");
+    expect(() => detector.setThresholds({ s: { mode: 'categorical', categories: ['A'], code: 'gray' } }))
+      .toThrow("Invalid code 'gray' for 's'");
+    expect(() => detector.setThresholds({ s: { mode: 'in', values: [] } }))
+      .toThrow("Set mode 'in' for 's' requires a non-empty values array");
+  });
+});
+
+describe('Feature Encoders', () => {
+  // Vibration spectrum: one neuron per band, 1 while the band's energy stays under its limit
+  class SpectrumBandEncoder extends FeatureEncoder {
+    get width() {
+      return this.config.limits.length;
+    }
+
+    accepts(value) {
+      return Array.isArray(value) && value.length === this.config.limits.length;
+    }
+
+    encode(spectrum) {
+      return this.config.limits.map((limit, i) => (spectrum[i] < limit ? 1 : 0));
+    }
+
+    fit(spectra) {
+      const limits = this.config.limits.map((_, i) => 1.5 * Math.max(...spectra.map(s => s[i])));
+      this.config = { ...this.config, limits };
+      return limits;
+    }
+
+    static validate(config, key) {
+      return Array.isArray(config.limits) ? null : `Spectrum mode for '${key}' requires limits`;
+    }
+  }
+  FeatureEncoder.register('spectrumBand', SpectrumBandEncoder);
 
-  test('detects anomaly with abnormal data', () => {
-    const detector = new HopfieldAnomalyDetector({
-      featureCount: 2,
-      snapshotLength: 3,
-      seed: 12345,
-      anomalyThreshold: 0.5
+  const createDetector = () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 2, snapshotLength: 2, seed: 8 });
+    detector.setThresholds({
+      rpm: { mode: 'range', min: 900, max: 1100 },
+      vibration: { mode: 'spectrumBand', limits: [1, 1, 1] }
     });
-    
+    return detector;
+  };
+
+  test('built-in modes are registered encoders', () => {
+    expect(FeatureEncoder.registered()).toEqual(expect.arrayContaining(['above', 'below', 'equal', 'range', 'quantile']));
+    const range = FeatureEncoder.create({ mode: 'range', min: 0, max: 1 });
+    expect(range).toBeInstanceOf(FeatureEncoder);
+    expect(range.width).toBe(1);
+    expect(range.encode(0.5)).toEqual([1]);
+    expect(range.toJSON()).toEqual({ mode: 'range', min: 0, max: 1 });
+  });
+
+  test('custom encoders set the feature width and encode readings', () => {
+    const detector = createDetector();
+    expect(detector.featureWidths).toEqual([1, 3]);
+    expect(detector._featuresToBinary({ rpm: 1000, vibration: [0.2, 3, 0.5] })).toEqual([1, 1, 0, 1]);
+  });
+
+  test('custom encoders fit and round-trip by registered name', () => {
+    const detector = createDetector();
+    const history = [{ rpm: 1000, vibration: [1, 2, 4] }, { rpm: 990, vibration: [2, 2, 2] }];
+    expect(detector.fitEncodings(history)).toEqual({ vibration: [3, 3, 6] });
+    detector.train({ patterns: [[1, 1, 1, 1, 1, 1, 1, 1]] });
+
+    const restored = HopfieldAnomalyDetector.fromConfig(JSON.parse(JSON.stringify(detector.exportConfig())));
+    expect(restored.encoders.vibration).toBeInstanceOf(SpectrumBandEncoder);
+    expect(restored.thresholds.vibration.limits).toEqual([3, 3, 6]);
+  });
+
+  test('validates registrations, configs and output width', () => {
+    expect(() => FeatureEncoder.register('spectrumBand', SpectrumBandEncoder))
+      .toThrow("Encoder 'spectrumBand' is already registered");
+    expect(() => FeatureEncoder.register('broken', class {}))
+      .toThrow("Encoder 'broken' must implement encode() and static fromJSON()");
+    expect(() => createDetector().setThresholds({
+      rpm: { mode: 'above', value: 1 },
+      vibration: { mode: 'spectrumBand' }
+    })).toThrow("Spectrum mode for 'vibration' requires limits");
+
+    const detector = createDetector();
+    detector.encoders.vibration.encode = () => [1];
+    expect(() => detector._featuresToBinary({ rpm: 1000, vibration: [0, 0, 0] }))
+      .toThrow("Encoder 'spectrumBand' returned 1 bits for 'vibration', expected 3");
+  });
+});
+
+describe('HopfieldAnomalyDetector - Derived Features', () => {
+  const createDetector = () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 5, snapshotLength: 2, learningRule: 'pseudoinverse', seed: 2 });
     detector.setThresholds({
-      a: { mode: 'range', min: 0, max: 1 },
-      b: { mode: 'range', min: 0, max: 1 }
+      temp: { mode: 'range', min: 0, max: 100 },
+      tempDelta: { mode: 'below', value: 5, derive: { type: 'delta', source: 'temp' } },
+      tempRate: { mode: 'below', value: 1, derive: { type: 'rate', source: 'temp' } },
+      tempMean: { mode: 'below', value: 60, derive: { type: 'mean', source: 'temp', window: 3 } },
+      tempZ: { mode: 'below', value: 3, derive: { type: 'ewmaZ', source: 'temp', alpha: 0.5 } }
     });
-    
-    // Train with normal patterns
-    const normalPattern = Array(6).fill(-1);
-    detector.network.train([normalPattern]);
-    detector.baseline = {
-      energy: { mean: -3, std: 1 },
-      drop: { mean: 0, std: 0.1 },
-      hamming: { mean: 0, std: 0.1 },
-      margin: { mean: 0, std: 0.1 }
-    };
-    detector.trained = true;
-    
-    // Add anomalous data
-    for (let i = 0; i < 3; i++) {
-      detector.addDataPoint({ a: 1, b: 1 }); // All 1s = anomalous
-    }
-    
+    return detector;
+  };
+  const t0 = Date.parse('2025-01-01T00:00:00Z');
+  const readings = [50, 52, 60, 90].map((temp, i) => ({ temp, timestamp: t0 + i * 2000 }));
+
+  test('computes deltas, rates, rolling means and EWMA z-scores from the stream', () => {
+    const detector = createDetector();
+    const rows = detector._deriveSeries(readings);
+
+    expect(rows.map(r => r.tempDelta)).toEqual([0, 2, 8, 30]);
+    expect(rows.map(r => r.tempRate)).toEqual([0, 1, 4, 15]);
+    expect(rows.map(r => r.tempMean)).toEqual([50, 51, 54, 202 / 3]);
+    expect(rows[0].tempZ).toBe(0);
+    expect(rows[3].tempZ).toBeGreaterThan(3);
+  });
+
+  test('derived values are thresholded in the stream and attributed by name', () => {
+    const detector = createDetector();
+    const normal = detector._deriveSeries(readings.slice(0, 2)).map(r => detector._featuresToBinary(r)).flat();
+    detector.train({ patterns: [detector._binToBipolar(normal)] });
+    readings.forEach(r => detector.addDataPoint(r));
+
+    expect(detector.buffer[1]).toEqual([1, 0, 0, 0, 0]);
     const result = detector.detect();
-    expect(result.anomalyScore).toBeGreaterThan(0);
+    expect(result.featureImpact.map(f => f.name)).toContain('tempRate');
   });
 
-  test('benchmark runs without error', () => {
-    const perf = HopfieldAnomalyDetector.benchmark({
-      featureCount: 5,
-      snapshotLength: 3,
-      dataPoints: 100
-    });
-    
-    expect(perf.trainingTime).toBeGreaterThan(0);
-    expect(perf.averageDetectLatency).toBeGreaterThan(0);
-    expect(perf.throughput).toBeGreaterThan(0);
-    expect(perf.memory).toBeDefined();
+  test('skipped records do not advance derived state', () => {
+    const detector = createDetector();
+    detector.thresholds.temp.missing = 'skip';
+    detector.addDataPoint(readings[0]);
+    detector.addDataPoint({ timestamp: t0 + 1000 });
+    detector.addDataPoint(readings[1]);
+    expect(detector._derivedState.tempDelta.last).toBe(52);
+    expect(detector._featuresToBinary(detector._deriveSeries(readings.slice(0, 2))[1])).toEqual(detector.buffer[1]);
   });
 
-  test('export and import config', () => {
-    const detector = new HopfieldAnomalyDetector({ featureCount: 2 });
+  test('derive specs are validated and exported', () => {
+    const detector = createDetector();
+    expect(detector.exportConfig().thresholds.tempMean.derive).toEqual({ type: 'mean', source: 'temp', window: 3 });
+    expect(() => new HopfieldAnomalyDetector({ featureCount: 1 }).setThresholds({
+      d: { mode: 'below', value: 1, derive: { type: 'median', source: 'x' } }
+    })).toThrow("Invalid derive type 'median' for 'd'");
+  });
+
+  test('saved state resumes derivations', () => {
+    const detector = createDetector();
+    readings.slice(0, 2).forEach(r => detector.addDataPoint(r));
+    const resumed = HopfieldAnomalyDetector.restoreState(JSON.parse(JSON.stringify(detector.saveState())));
+    resumed.addDataPoint(readings[2]);
+    detector.addDataPoint(readings[2]);
+    expect(resumed.buffer).toEqual(detector.buffer);
+  });
+});
+
+describe('HopfieldAnomalyDetector - Relational Features', () => {
+  const createDetector = () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 5, snapshotLength: 2, learningRule: 'pseudoinverse', seed: 3 });
     detector.setThresholds({
-      a: { mode: 'above', value: 0.5 },
-      b: { mode: 'below', value: 0.5 }
+      inlet: { mode: 'range', min: 0, max: 100 },
+      outletHotter: { relation: 'greater', a: 'outlet', b: 'inlet' },
+      balanced: { relation: 'within', a: 'outlet', b: 'inlet', tolerance: 10 },
+      tracking: { relation: 'ratio', a: 'pressure', b: 'speed', min: 0.9, max: 1.1 },
+      together: { relation: 'deltaSign', a: 'pressure', b: 'speed' }
     });
-    detector.trainWithDefaults();
-    
-    const config = detector.exportConfig();
+    return detector;
+  };
+  const readings = [
+    { inlet: 50, outlet: 55, pressure: 100, speed: 100 },
+    { inlet: 50, outlet: 56, pressure: 105, speed: 104 },
+    { inlet: 50, outlet: 35, pressure: 90, speed: 120 }
+  ];
+
+  test('relations expand to derived pairwise features with labels', () => {
+    const detector = createDetector();
+    expect(detector.thresholds.outletHotter).toMatchObject({
+      mode: 'above',
+      value: 0,
+      derive: { type: 'difference', source: 'outlet', with: 'inlet' },
+      label: 'outlet > inlet'
+    });
+    expect(detector.thresholds.balanced.label).toBe('|outlet - inlet| < 10');
+    expect(detector.thresholds.tracking.label).toBe('pressure / speed in [0.9, 1.1]');
+  });
+
+  test('encodes differences, ratios and delta sign agreement', () => {
+    const detector = createDetector();
+    const rows = detector._deriveSeries(readings);
+    expect(rows.map(r => r.outletHotter)).toEqual([5, 6, -15]);
+    expect(rows.map(r => r.balanced)).toEqual([5, 6, 15]);
+    expect(rows.map(r => r.together)).toEqual([1, 1, 0]);
+    expect(rows.map(r => detector._featuresToBinary(r))).toEqual([
+      [1, 1, 1, 1, 1],
+      [1, 1, 1, 1, 1],
+      [1, 0, 0, 0, 0]
+    ]);
+  });
+
+  test('attribution reports relation labels', () => {
+    const detector = createDetector();
+    const normal = detector._deriveSeries(readings.slice(0, 2)).map(r => detector._featuresToBinary(r)).flat();
+    detector.train({ patterns: [detector._binToBipolar(normal)] });
+    readings.forEach(r => detector.addDataPoint(r));
+
+    const impact = detector.detect().featureImpact.find(f => f.name === 'outletHotter');
+    expect(impact.label).toBe('outlet > inlet');
+  });
+
+  test('invalid relations are rejected', () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 1 });
+    expect(() => detector.setThresholds({ k: { relation: 'x', a: 'a', b: 'b' } }))
+      .toThrow("Invalid relation 'x' for 'k'");
+    expect(() => detector.setThresholds({ k: { relation: 'greater', a: 'a', b: 'a' } }))
+      .toThrow("Relation 'k' requires two distinct features 'a' and 'b'");
+    expect(() => detector.setThresholds({ k: { relation: 'within', a: 'a', b: 'b' } }))
+      .toThrow("Relation 'k' requires a non-negative tolerance");
+  });
+
+  test('relations round-trip through exported configs', () => {
+    const detector = createDetector();
+    const config = JSON.parse(JSON.stringify(detector.exportConfig()));
+    expect(HopfieldAnomalyDetector.validateConfig(config).valid).toBe(true);
     const restored = HopfieldAnomalyDetector.fromConfig(config);
-    
-    expect(restored.featureCount).toBe(detector.featureCount);
-    expect(restored.trained).toBe(detector.trained);
+    expect(restored.thresholds).toEqual(detector.thresholds);
   });
+});
 
-  test('gradient-based feature attribution returns sorted impacts', () => {
-    const detector = new HopfieldAnomalyDetector({
-      featureCount: 3,
-      snapshotLength: 2,
-      seed: 12345
-    });
-    
+describe('HopfieldAnomalyDetector - Missing Values', () => {
+  const createDetector = (missingPolicy, overrides = {}) => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 2, snapshotLength: 2, missingPolicy, seed: 9 });
     detector.setThresholds({
-      a: { mode: 'range', min: 0, max: 1 },
-      b: { mode: 'range', min: 0, max: 1 },
-      c: { mode: 'range', min: 0, max: 1 }
+      temp: { mode: 'range', min: 60, max: 80, ...overrides },
+      load: { mode: 'thermometer', edges: [10, 50] }
     });
-    
-    detector.trainWithDefaults();
-    
-    for (let i = 0; i < 2; i++) {
-      detector.addDataPoint({ a: 0.5, b: 0.5, c: 0.5 });
-    }
-    
+    detector.train({ patterns: [[1, 1, 0, 1, 1, 0].map(b => (b ? 1 : -1))] });
+    return detector;
+  };
+
+  test('throws by default on missing or invalid readings', () => {
+    const detector = createDetector();
+    expect(() => detector.addDataPoint({ load: 20 })).toThrow('Missing feature: temp');
+    expect(() => detector.addDataPoint({ temp: 'hot', load: 20 })).toThrow("Invalid value for 'temp': hot");
+    expect(detector.getStats().missingValues.throw).toBe(2);
+  });
+
+  test('skip drops the data point', () => {
+    const detector = createDetector('skip');
+    expect(detector.addDataPoint({ temp: NaN, load: 20 })).toBe(false);
+    expect(detector.buffer).toHaveLength(0);
+    expect(detector.getStats()).toMatchObject({ dataPointsProcessed: 0, missingValues: { skip: 1 } });
+  });
+
+  test('carry forwards the last valid value and flags the window', () => {
+    const detector = createDetector('carry');
+    detector.addDataPoint({ temp: 70, load: 20 });
+    detector.addDataPoint({ temp: null, load: 20 });
     const result = detector.detect();
-    expect(result.featureImpact).toBeDefined();
-    expect(result.featureImpact.length).toBe(3);
-    
-    // Check sorted by absolute energyDelta
-    for (let i = 1; i < result.featureImpact.length; i++) {
-      expect(Math.abs(result.featureImpact[i - 1].energyDelta))
-        .toBeGreaterThanOrEqual(Math.abs(result.featureImpact[i].energyDelta));
-    }
+
+    expect(detector.buffer[1]).toEqual([1, 1, 0]);
+    expect(result.imputed).toBe(true);
+    expect(detector.getStats().missingValues.carry).toBe(1);
+  });
+
+  test('impute uses the fill value or a neutral bit', () => {
+    const filled = createDetector('impute', { fill: 100 });
+    filled.addDataPoint({ load: 20 });
+    expect(filled.buffer[0]).toEqual([0, 1, 0]);
+
+    const neutral = createDetector('impute');
+    neutral.addDataPoint({ load: 20 });
+    expect(neutral.buffer[0]).toEqual([1, 1, 0]);
+  });
+
+  test('unknown neurons are excluded from scoring', () => {
+    const detector = createDetector('throw', { missing: 'unknown' });
+    detector.addDataPoint({ temp: 70, load: 20 });
+    detector.addDataPoint({ temp: undefined, load: 20 });
+    const result = detector.detect();
+
+    expect(detector.buffer[1]).toEqual([null, 1, 0]);
+    expect(result.unknownNeurons).toBe(1);
+    expect(result.imputed).toBe(true);
+    expect(result.metrics.hammingDistance).toBe(0);
+    expect(detector.getStats().missingValues.unknown).toBe(1);
+  });
+
+  test('rejects unknown policies', () => {
+    expect(() => new HopfieldAnomalyDetector({ featureCount: 1, missingPolicy: 'ignore' }))
+      .toThrow('Unknown missing-value policy: ignore');
+    const detector = new HopfieldAnomalyDetector({ featureCount: 1 });
+    expect(() => detector.setThresholds({ a: { mode: 'above', value: 1, missing: 'zero' } }))
+      .toThrow("Invalid missing-value policy 'zero' for 'a'");
   });
 });
 
@@ -441,6 +2315,278 @@ describe('HopfieldAnomalyDetector - Edge Cases', () => {
   });
 });
 
+describe('Binary Model Format', () => {
+  const patterns = [
+    [1, 1, 1, -1, -1, -1, 1, -1, 1, -1, -1, 1],
+    [-1, 1, -1, 1, -1, 1, -1, 1, -1, 1, 1, -1]
+  ];
+  const createDetector = (options = {}) => {
+    const detector = new HopfieldAnomalyDetector({
+      featureCount: 3,
+      snapshotLength: 4,
+      learningRule: 'storkey',
+      seed: 12345,
+      ...options
+    });
+    detector.setThresholds({
+      a: { mode: 'above', value: 0.5 },
+      b: { mode: 'above', value: 0.5 },
+      c: { mode: 'range', min: 0, max: 1 }
+    });
+    detector.train({ patterns });
+    return detector;
+  };
+  const stream = [
+    { a: 1, b: 0, c: 0.5 }, { a: 1, b: 1, c: 2 }, { a: 0, b: 0, c: 0.5 },
+    { a: 1, b: 0, c: 0.1 }, { a: 0, b: 1, c: 3 }, { a: 1, b: 1, c: 0.5 }
+  ];
+  const run = detector => stream.map(r => {
+    detector.addDataPoint(r);
+    const result = detector.detect();
+    return result && { score: result.anomalyScore, state: result.recalledPattern };
+  });
+
+  test('network round-trips exactly at float64 precision', () => {
+    const net = new HopfieldNetwork(12, { learningRule: 'pseudoinverse', seed: 3 });
+    net.train(patterns);
+    const restored = HopfieldNetwork.fromBuffer(net.toBuffer());
+
+    expect(Array.from(restored.weights)).toEqual(Array.from(net.weights));
+    expect(Array.from(restored.projectionDiagonal)).toEqual(Array.from(net.projectionDiagonal));
+    expect(restored.patterns.map(p => Array.from(p))).toEqual(patterns);
+    expect(restored.learningRule).toBe('pseudoinverse');
+  });
+
+  test('dense networks store only settings and patterns', () => {
+    const net = new HopfieldNetwork(12, { learningRule: 'dense', interaction: 'exponential', beta: 0.5 });
+    net.train(patterns);
+    const restored = HopfieldNetwork.fromBuffer(net.toBuffer());
+
+    expect(restored.beta).toBe(0.5);
+    expect(restored.energy(patterns[1])).toBeCloseTo(net.energy(patterns[1]), 12);
+  });
+
+  test('quantized buffers are smaller', () => {
+    const net = new HopfieldNetwork(40);
+    net.train([Array.from({ length: 40 }, (_, i) => (i % 3 ? 1 : -1))]);
+    const f64 = net.toBuffer().length;
+    const f32 = net.toBuffer({ precision: 'float32' }).length;
+    const i8 = net.toBuffer({ precision: 'int8' }).length;
+
+    expect(f32).toBeLessThan(f64);
+    expect(i8).toBeLessThan(f32);
+    expect(f64).toBeLessThan(JSON.stringify(net.toJSON()).length);
+  });
+
+  test('detector results are unchanged after a float64 round-trip', () => {
+    const detector = createDetector();
+    const expected = run(HopfieldAnomalyDetector.fromConfig(detector.exportConfig()));
+    expect(run(HopfieldAnomalyDetector.fromBuffer(detector.toBuffer()))).toEqual(expected);
+  });
+
+  test.each(['float32', 'int8'])('detector results stay within tolerance at %s precision', precision => {
+    const detector = createDetector();
+    const expected = run(HopfieldAnomalyDetector.fromConfig(detector.exportConfig()));
+    const actual = run(HopfieldAnomalyDetector.fromBuffer(detector.toBuffer({ precision })));
+
+    expect(actual.map(r => r && r.state)).toEqual(expected.map(r => r && r.state));
+    actual.filter(Boolean).forEach((result, k) => {
+      expect(result.score).toBeCloseTo(expected.filter(Boolean)[k].score, 1);
+    });
+  });
+
+  test('rejects corrupted buffers', () => {
+    const buf = createDetector().toBuffer();
+    buf[buf.length - 10] ^= 0xFF;
+    expect(() => HopfieldAnomalyDetector.fromBuffer(buf)).toThrow('Invalid detector buffer: checksum mismatch');
+
+    const netBuf = new HopfieldNetwork(4).toBuffer();
+    netBuf[20] ^= 0x01;
+    expect(() => HopfieldNetwork.fromBuffer(netBuf)).toThrow('Invalid network buffer: checksum mismatch');
+  });
+
+  test('rejects foreign data and unknown precisions', () => {
+    expect(() => HopfieldAnomalyDetector.fromBuffer(Buffer.from('not a model at all, really'))).toThrow('Invalid detector buffer: bad magic');
+    expect(() => new HopfieldNetwork(4).toBuffer({ precision: 'float16' })).toThrow('Unknown precision: float16');
+
+    // A precision code written by a newer release, with a valid checksum
+    const crc32 = bytes => {
+      let crc = 0xFFFFFFFF;
+      for (const byte of bytes) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+      }
+      return (crc ^ 0xFFFFFFFF) >>> 0;
+    };
+    const netBuf = new HopfieldNetwork(4).toBuffer();
+    netBuf.writeUInt8(7, 5);
+    netBuf.writeUInt32LE(crc32(netBuf.subarray(0, netBuf.length - 4)), netBuf.length - 4);
+    expect(() => HopfieldNetwork.fromBuffer(netBuf)).toThrow('Invalid network buffer: unknown precision code 7');
+  });
+
+  test('monitor round-trips through a Uint8Array', () => {
+    const monitor = new AnomalyMonitor({ featureCount: 2, snapshotLength: 2 });
+    monitor.setThresholds({ a: { mode: 'above', value: 0.5 }, b: { mode: 'below', value: 0.5 } });
+    monitor.trainWithDefaults();
+
+    const restored = AnomalyMonitor.fromBuffer(new Uint8Array(monitor.toBuffer({ precision: 'float32' })));
+    expect(restored.detector.trained).toBe(true);
+    expect(restored.detector.featureNames).toEqual(['a', 'b']);
+  });
+});
+
+describe('State Snapshots', () => {
+  const patterns = [
+    [1, 1, 1, -1, -1, -1, 1, -1, 1, -1, -1, 1],
+    [-1, 1, -1, 1, -1, 1, -1, 1, -1, 1, 1, -1]
+  ];
+  const createDetector = () => {
+    const detector = new HopfieldAnomalyDetector({
+      featureCount: 3,
+      snapshotLength: 4,
+      seed: 777,
+      adaptiveThreshold: true
+    });
+    detector.setThresholds({
+      a: { mode: 'above', value: 0.5 },
+      b: { mode: 'above', value: 0.5 },
+      c: { mode: 'range', min: 0, max: 1 }
+    });
+    detector.train({ patterns });
+    return detector;
+  };
+  const stream = Array.from({ length: 12 }, (_, i) => ({ a: i % 2, b: (i % 3) / 2, c: (i % 5) / 3 }));
+  const step = (detector, r) => {
+    detector.addDataPoint(r);
+    const result = detector.detect();
+    return result && {
+      score: result.anomalyScore,
+      isAnomaly: result.isAnomaly,
+      threshold: result.threshold,
+      state: result.recalledPattern
+    };
+  };
+
+  test('restored detector resumes identically mid-stream', () => {
+    const uninterrupted = createDetector();
+    const expected = stream.map(r => step(uninterrupted, r));
+
+    const first = createDetector();
+    stream.slice(0, 7).forEach(r => step(first, r));
+    const snapshot = JSON.parse(JSON.stringify(first.saveState()));
+    const resumed = HopfieldAnomalyDetector.restoreState(snapshot);
+    const tail = stream.slice(7).map(r => step(resumed, r));
+
+    expect(tail).toEqual(expected.slice(7));
+    const { dataPointsProcessed, anomaliesDetected, baseline } = uninterrupted.getStats();
+    expect(resumed.getStats()).toMatchObject({ dataPointsProcessed, anomaliesDetected, baseline });
+  });
+
+  test('monitor snapshots wrap the detector state', () => {
+    const monitor = new AnomalyMonitor({ featureCount: 3, snapshotLength: 4 });
+    monitor.detector = createDetector();
+    stream.slice(0, 5).forEach(r => monitor.process(r));
+    const restored = AnomalyMonitor.restoreState(monitor.saveState());
+
+    expect(restored.detector.buffer).toEqual(monitor.detector.buffer);
+    expect(restored.getStats().dataPointsProcessed).toBe(5);
+  });
+
+  test('legacy exportConfig objects migrate to the current version', () => {
+    const detector = createDetector();
+    const migrated = HopfieldAnomalyDetector.migrateState(detector.exportConfig());
+    const restored = HopfieldAnomalyDetector.restoreState(detector.exportConfig());
+
+    expect(migrated.stateVersion).toBe(1);
+    expect(restored.trained).toBe(true);
+    expect(restored.buffer).toEqual([]);
+  });
+
+  test('rejects snapshots from a newer version', () => {
+    const snapshot = { ...createDetector().saveState(), stateVersion: 99 };
+    expect(() => HopfieldAnomalyDetector.restoreState(snapshot)).toThrow('Unsupported state version: 99');
+  });
+});
+
+describe('Config Schema', () => {
+  const createDetector = () => {
+    const detector = new HopfieldAnomalyDetector({ featureCount: 2, snapshotLength: 3, seed: 5 });
+    detector.setThresholds({
+      cpu: { mode: 'above', value: 80 },
+      mem: { mode: 'range', min: 0, max: 90 }
+    });
+    detector.train({ patterns: [[1, -1, 1, -1, 1, -1]] });
+    return detector;
+  };
+  const paths = result => result.errors.map(e => e.path);
+
+  test('exported configs are versioned and valid', () => {
+    const config = createDetector().exportConfig();
+    expect(config.configVersion).toBe(1);
+    expect(HopfieldAnomalyDetector.validateConfig(config)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports structured errors for inconsistent models', () => {
+    const config = JSON.parse(JSON.stringify(createDetector().exportConfig()));
+    config.network.weights[1] += 0.5;
+    config.baseline.margin.std = 0;
+    config.thresholds.cpu = { mode: 'between' };
+    const result = HopfieldAnomalyDetector.validateConfig(config);
+
+    expect(result.valid).toBe(false);
+    expect(paths(result)).toEqual(['thresholds.cpu', 'baseline.margin.std', 'network.weights']);
+    expect(result.errors[2].message).toBe('matrix is not symmetric at (0, 1)');
+  });
+
+  test('fromConfig fails fast on a size mismatch', () => {
+    const config = createDetector().exportConfig();
+    config.snapshotLength = 4;
+    expect(() => HopfieldAnomalyDetector.fromConfig(config))
+      .toThrow('Invalid config: network.size: expected 8, got 6; network.weights: expected 64 weights, got 36');
+  });
+
+  test('migrates pre-3.3 configs without scoreWeights or full baseline', () => {
+    const legacy = createDetector().exportConfig();
+    delete legacy.configVersion;
+    delete legacy.scoreWeights;
+    delete legacy.unsupervisedAdaptive;
+    legacy.baseline = { mean: -2, std: 0.5 };
+    const restored = HopfieldAnomalyDetector.fromConfig(legacy);
+
+    expect(restored.scoreWeights).toEqual({ energy: 0.3, drop: 0.3, hamming: 0.3, margin: 0.1 });
+    expect(restored.baseline.energy).toEqual({ mean: -2, std: 0.5 });
+    expect(restored.baseline.hamming).toEqual({ mean: 0, std: 1 });
+    expect(restored.unsupervisedAdaptive).toBe(true);
+  });
+
+  test('rejects configs from a newer version', () => {
+    const config = { ...createDetector().exportConfig(), configVersion: 2 };
+    expect(paths(HopfieldAnomalyDetector.validateConfig(config))).toEqual(['configVersion']);
+    expect(() => HopfieldAnomalyDetector.fromConfig(config)).toThrow('unsupported version 2');
+  });
+
+  test('reports a missing baseline or scoreWeights instead of crashing', () => {
+    const withoutBaseline = createDetector().exportConfig();
+    delete withoutBaseline.baseline;
+    const withoutWeights = createDetector().exportConfig();
+    delete withoutWeights.scoreWeights;
+
+    expect(HopfieldAnomalyDetector.validateConfig(withoutBaseline).errors)
+      .toEqual([{ path: 'baseline', message: 'missing baseline' }]);
+    expect(HopfieldAnomalyDetector.validateConfig(withoutWeights).errors)
+      .toEqual([{ path: 'scoreWeights', message: 'missing scoreWeights' }]);
+    expect(() => HopfieldAnomalyDetector.fromConfig(withoutBaseline)).toThrow('Invalid config: baseline: missing baseline');
+  });
+
+  test('rejects non-integer versions', () => {
+    const config = { ...createDetector().exportConfig(), configVersion: 0.5 };
+    expect(HopfieldAnomalyDetector.validateConfig(config).errors)
+      .toEqual([{ path: 'configVersion', message: 'must be a non-negative integer' }]);
+    expect(() => HopfieldAnomalyDetector.fromConfig(config)).toThrow('configVersion: must be a non-negative integer');
+    expect(() => HopfieldAnomalyDetector.migrateConfig(config)).toThrow('Invalid config version: 0.5');
+  });
+});
+
 describe('AdaptiveThreshold', () => {
   test('creates threshold with defaults', () => {
     const thresh = new AdaptiveThreshold();
@@ -462,6 +2608,15 @@ describe('AdaptiveThreshold', () => {
     expect(thresh.threshold).toBeLessThan(0.95);
   });
 
+  test('feedback adjusts without recording the score again', () => {
+    const thresh = new AdaptiveThreshold(0.5, 10, false);
+    thresh.update(0.4);
+    thresh.feedback(0.4, true);
+
+    expect(thresh.threshold).toBeCloseTo(0.475);
+    expect(thresh.scores).toEqual([0.4]);
+  });
+
   test('supervised mode adjusts on false positives', () => {
     const thresh = new AdaptiveThreshold(0.5, 10, false);
     const initialThreshold = thresh.threshold;
@@ -592,6 +2747,125 @@ describe('AnomalyMonitor', () => {
   });
 });
 
+describe('AnomalyMonitor - Detection Cadence', () => {
+  const createMonitor = window => {
+    const monitor = new AnomalyMonitor({ featureCount: 2, snapshotLength: 3, seed: 12345, window });
+    monitor.setThresholds({
+      a: { mode: 'below', value: 50 },
+      b: { mode: 'below', value: 50 }
+    });
+    return monitor.trainWithDefaults();
+  };
+  const feed = (monitor, count) => Array.from({ length: count }, (_, i) => monitor.process({ a: 10 + i, b: 20 }));
+
+  test('sliding windows detect every hop-th full window', () => {
+    const monitor = createMonitor({ hop: 2 });
+    const results = feed(monitor, 10);
+
+    expect(results.map(r => r !== null)).toEqual([false, false, true, false, true, false, true, false, true, false]);
+    expect(monitor.getStats().windows).toEqual({ mode: 'sliding', hop: 2, duration: null, pointsReceived: 10, windowsEvaluated: 4 });
+    expect(monitor.getStats().dataPointsProcessed).toBe(10);
+  });
+
+  test('default cadence still detects on every point', () => {
+    const monitor = createMonitor();
+    expect(feed(monitor, 5).filter(Boolean)).toHaveLength(3);
+    expect(monitor.getStats().windows).toMatchObject({ mode: 'sliding', hop: 1, windowsEvaluated: 3 });
+  });
+
+  test('tumbling windows do not overlap', () => {
+    const monitor = createMonitor({ mode: 'tumbling' });
+    const results = feed(monitor, 9);
+
+    expect(results.map(r => r !== null)).toEqual([false, false, true, false, false, true, false, false, true]);
+    expect(monitor.getStats().windows).toMatchObject({ mode: 'tumbling', hop: 3, windowsEvaluated: 3 });
+
+    monitor.reset();
+    expect(feed(monitor, 3).map(r => r !== null)).toEqual([false, false, true]);
+  });
+
+  test('time windows resample readings into aggregated slots', () => {
+    // 3 s windows of three 1 s slots
+    const monitor = createMonitor({ duration: 3000, aggregate: { a: 'max', b: 'mean' } });
+    const added = [];
+    const addDataPoint = monitor.detector.addDataPoint.bind(monitor.detector);
+    monitor.detector.addDataPoint = record => {
+      added.push(record);
+      return addDataPoint(record);
+    };
+    const readings = [
+      { timestamp: 0, a: 10, b: 20 },
+      { timestamp: 400, a: 70, b: 40 },
+      { timestamp: 1200, a: 5, b: 10 },
+      { timestamp: 2500, a: 5, b: 10 },
+      { timestamp: 2600, a: 6, b: 30 }
+    ];
+    const results = readings.map(r => monitor.process(r));
+
+    expect(results.every(r => r === null)).toBe(true);
+    expect(added).toEqual([{ timestamp: 0, a: 70, b: 30 }, { timestamp: 1000, a: 5, b: 10 }]);
+
+    const result = monitor.process({ timestamp: 3100, a: 1, b: 1 });
+    expect(result).not.toBeNull();
+    expect(added[2]).toEqual({ timestamp: 2000, a: 6, b: 20 });
+    expect(monitor.getStats().windows).toEqual({
+      mode: 'sliding', hop: 1, duration: 3000, pointsReceived: 6, slots: 3, windowsEvaluated: 1
+    });
+  });
+
+  test('empty slots go through the missing-value policy', () => {
+    const monitor = new AnomalyMonitor({ featureCount: 1, snapshotLength: 2, missingPolicy: 'carry', window: { duration: 2000 } });
+    monitor.setThresholds({ a: { mode: 'below', value: 50 } }).trainWithDefaults();
+
+    monitor.process({ timestamp: 0, a: 10 });
+    // A 10 s gap closes the first slot and at most snapshotLength empty ones
+    expect(monitor.process({ timestamp: 10000, a: 90 })).not.toBeNull();
+    expect(monitor.getStats()).toMatchObject({ missingValues: { carry: 2 }, windows: { slots: 3, windowsEvaluated: 2 } });
+  });
+
+  test('gaps are skipped when the missing-value policy throws', () => {
+    const monitor = new AnomalyMonitor({ featureCount: 1, snapshotLength: 2, window: { duration: 2000 } });
+    monitor.setThresholds({ a: { mode: 'below', value: 50 } }).trainWithDefaults();
+
+    monitor.process({ timestamp: 0, a: 10 });
+    monitor.process({ timestamp: 1000, a: 20 });
+    expect(() => monitor.process({ timestamp: 10000, a: 90 })).not.toThrow();
+    expect(monitor.process({ timestamp: 11000, a: 90 })).not.toBeNull();
+    expect(monitor.getStats()).toMatchObject({ missingValues: { throw: 0 }, windows: { slots: 3, windowsEvaluated: 2 } });
+  });
+
+  test('restored monitors keep the window settings and cadence phase', () => {
+    const hopping = createMonitor({ hop: 2 });
+    feed(hopping, 4);
+    const restored = AnomalyMonitor.restoreState(JSON.parse(JSON.stringify(hopping.saveState())));
+    const next = () => Array.from({ length: 4 }, (_, i) => ({ a: 20 + i, b: 20 }));
+
+    expect(next().map(r => restored.process(r) !== null)).toEqual(next().map(r => hopping.process(r) !== null));
+    expect(restored.getStats().windows).toEqual(hopping.getStats().windows);
+    expect(AnomalyMonitor.fromConfig(hopping.exportConfig()).window).toEqual(hopping.window);
+    expect(AnomalyMonitor.fromBuffer(hopping.toBuffer()).window).toEqual(hopping.window);
+
+    // An open time slot resumes with its readings
+    const timed = createMonitor({ duration: 3000, aggregate: 'max' });
+    [0, 1200, 1500].forEach((timestamp, i) => timed.process({ timestamp, a: 10 * i, b: 20 }));
+    const copy = AnomalyMonitor.restoreState(timed.saveState());
+    const tail = [2100, 3300, 4400].map(timestamp => ({ timestamp, a: 30, b: 40 }));
+    const snapshots = monitor => tail.map(r => monitor.process(r)).map(r => r && r.snapshot);
+    const expected = snapshots(timed);
+    expect(expected.filter(Boolean)).toHaveLength(2);
+    expect(snapshots(copy)).toEqual(expected);
+  });
+
+  test('validates window options', () => {
+    expect(() => createMonitor({ mode: 'hopping' })).toThrow('Unknown window mode: hopping');
+    expect(() => createMonitor({ mode: 'tumbling', hop: 2 })).toThrow('Tumbling windows hop by snapshotLength; omit hop');
+    expect(() => createMonitor({ hop: 0 })).toThrow('hop must be a positive integer');
+    expect(() => createMonitor({ duration: -5 })).toThrow('duration must be a positive number of milliseconds');
+    expect(() => createMonitor({ duration: 1000, aggregate: { a: 'mode' } })).toThrow('Unknown aggregation: mode');
+    expect(() => createMonitor({ duration: 1000 }).process({ a: 1, b: 2 })).toThrow("Time-based windows require 'timestamp' on every reading");
+  });
+});
+
 describe('AnomalyMonitor - Edge Cases', () => {
   test('process returns null when buffer not ready', () => {
     const monitor = new AnomalyMonitor({ featureCount: 2, snapshotLength: 5 });